@@ -2,32 +2,245 @@ const express = require('express');
 const { MongoClient, ObjectId } = require('mongodb');
 const cors = require('cors');
 const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs/promises');
+const fsSync = require('fs');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { promisify } = require('util');
+const os = require('os');
+const multer = require('multer');
+const sharp = require('sharp');
+const QRCode = require('qrcode');
+const ExcelJS = require('exceljs');
+const { parser: jsonParser } = require('stream-json');
+const { pick: jsonPick } = require('stream-json/filters/Pick');
+const { ignore: jsonIgnore } = require('stream-json/filters/Ignore');
+const { streamObject: jsonObjectEntries } = require('stream-json/streamers/StreamObject');
+const JsonAssembler = require('stream-json/Assembler');
+const nodemailer = require('nodemailer');
+
+const scrypt = promisify(crypto.scrypt);
 
 const app = express();
 const PORT = 3000;
 const MONGO_URI = process.env.MONGO_URI || 'mongodb://warehouse-db:27017/warehouse';
 
+// Сессии и защита PIN-кодов
+const SESSION_TTL_DAYS = 30;
+const PIN_MAX_ATTEMPTS = 5;            // неверных попыток до блокировки аккаунта
+const PIN_LOCK_MINUTES = 15;
+const LOGIN_IP_MAX_ATTEMPTS = 20;      // неверных попыток с одного IP за окно
+const LOGIN_IP_WINDOW_MINUTES = 15;
+const DEFAULT_ADMIN_PIN = '0000';
+
+// Фото хранятся файлами (Docker volume), в документах — только URL
+const PHOTOS_DIR = process.env.PHOTOS_DIR || '/data/photos';
+const PHOTO_MAX_SIZE = 1600;           // px по длинной стороне
+const THUMB_SIZE = 320;
+const MAX_PHOTOS = 10;                 // фото на один предмет/контейнер
+const PHOTO_ORPHAN_HOURS = 24;         // через сколько удаляется загруженное, но не прикреплённое фото
+
+// Резервные копии (Docker volume): каждые BACKUP_INTERVAL_HOURS часов, хранятся BACKUP_KEEP последних
+const BACKUP_DIR = process.env.BACKUP_DIR || '/data/backups';
+const BACKUP_INTERVAL_HOURS = Number(process.env.BACKUP_INTERVAL_HOURS || 24);   // 0 — отключить
+const BACKUP_KEEP = Number(process.env.BACKUP_KEEP || 7);
+
+// Корзина: удалённое хранится TRASH_DAYS дней
+const TRASH_DAYS = Number(process.env.TRASH_DAYS || 30);
+const DELETE_MODES = ['cascade', 'moveUp'];
+
+const QR_PAYLOAD_VERSION = 1;
+
+// Обновления в реальном времени (SSE)
+const LIVE_BATCH_MS = 300;             // изменения за это время уходят одним событием
+const LIVE_MAX_CHANGES = 20;           // подробностей в одном событии, остальное — только счётчиком
+const LIVE_PING_SECONDS = 25;
+const LIVE_TICKET_SECONDS = 30;        // срок одноразового билета на подключение к потоку
+
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 10 * 1024 * 1024, files: MAX_PHOTOS } });
+// Дамп с фото больше лимита express.json — импорт принимает его файлом во временный каталог, не в память
+const backupUpload = multer({ storage: multer.diskStorage({}), limits: { fileSize: 500 * 1024 * 1024, files: 1 } });
+
+// Перед API стоит nginx — IP клиента берём из X-Forwarded-For, но только от него: порт 3000
+// доступен и напрямую, и доверять заголовку от любого клиента нельзя. По умолчанию —
+// localhost и подсети Docker (172.16.0.0/12); свои адреса прокси — в TRUST_PROXY
+app.set('trust proxy', process.env.TRUST_PROXY || 'loopback, 172.16.0.0/12');
 app.use(cors());
 app.use(express.json({ limit: '10mb' }));
+// Без nginx фото отдаёт сам API (в nginx — location /photos/)
+app.use('/photos', express.static(PHOTOS_DIR, { maxAge: '30d', immutable: true }));
 
 let db;
+let pinSecret;
+let instanceId;
 
 // Генерация токена
 function generateToken() {
     return crypto.randomBytes(24).toString('hex');
 }
 
-// Middleware: получить текущего пользователя по заголовку X-User-Id
+// Хеш PIN-кода: scrypt с солью пользователя (pinSalt) и секретом сервера. Своя соль у каждого —
+// по дампу базы коды подбираются по одному, а не все разом. Секрет по умолчанию лежит в той же
+// базе, и тогда короткий PIN из дампа всё же подбирается: PIN_SECRET в окружении закрывает это.
+// Без соли — хеш старого формата (только секрет), он заменяется при следующем входе
+async function hashPin(code, salt) {
+    const hash = await scrypt(String(code), salt ? pinSecret + salt : pinSecret, 32);
+    return hash.toString('hex');
+}
+
+// Поля нового PIN-кода для документа пользователя
+async function pinFields(code) {
+    const pinSalt = crypto.randomBytes(16).toString('hex');
+    return { pinHash: await hashPin(code, pinSalt), pinSalt };
+}
+
+async function verifyPin(user, code) {
+    if (!user.pinHash) return false;
+    const hash = Buffer.from(await hashPin(code, user.pinSalt), 'hex');
+    const stored = Buffer.from(user.pinHash, 'hex');
+    return hash.length === stored.length && crypto.timingSafeEqual(hash, stored);
+}
+
+function hashSessionToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function isValidPin(code) {
+    return typeof code === 'string' && code.length >= 4 && code.length <= 6 && /^\d+$/.test(code);
+}
+
+// Пользователь без секретных полей — для ответов API
+function toSafeUser(user) {
+    const { _id, code, pinHash, pinSalt, failedAttempts, lockedUntil, ...safeUser } = user;
+    return safeUser;
+}
+
+// Создать сессию и вернуть токен (в базе хранится только его хеш)
+async function createSession(user, req) {
+    const token = generateToken();
+    const expires = new Date(Date.now() + SESSION_TTL_DAYS * 24 * 60 * 60 * 1000);
+    await db.collection('sessions').insertOne({
+        id: 's' + Date.now() + crypto.randomBytes(3).toString('hex'),
+        tokenHash: hashSessionToken(token),
+        userId: user.id,
+        created: new Date(),
+        lastSeen: new Date(),
+        expires,
+        userAgent: req.headers['user-agent'] || null,
+        ip: req.ip
+    });
+    return { token, expires };
+}
+
+// Отозвать все сессии пользователя
+async function revokeSessions(userId) {
+    await db.collection('sessions').deleteMany({ userId });
+}
+
+// Ограничение неверных попыток входа с одного IP (в памяти процесса)
+const loginFailures = new Map();
+
+function isIpBlocked(ip) {
+    const entry = loginFailures.get(ip);
+    if (!entry) return false;
+    if (entry.resetAt < Date.now()) {
+        loginFailures.delete(ip);
+        return false;
+    }
+    return entry.count >= LOGIN_IP_MAX_ATTEMPTS;
+}
+
+function registerIpFailure(ip) {
+    const entry = loginFailures.get(ip);
+    if (!entry || entry.resetAt < Date.now()) {
+        loginFailures.set(ip, { count: 1, resetAt: Date.now() + LOGIN_IP_WINDOW_MINUTES * 60 * 1000 });
+    } else {
+        entry.count++;
+    }
+}
+
+// Блокировка после неверных PIN-кодов — по паре (пользователь, IP), в памяти процесса:
+// чужие попытки с другого устройства не закрывают вход самому пользователю
+const pinFailures = new Map();   // `${userId} ${ip}` → { count, resetAt, lockedUntil }
+
+function pinFailureKey(userId, ip) {
+    return `${userId} ${ip}`;
+}
+
+function isPinLocked(userId, ip) {
+    const entry = pinFailures.get(pinFailureKey(userId, ip));
+    return !!(entry && entry.lockedUntil > Date.now());
+}
+
+// Засчитать неверный PIN; true — пара только что заблокирована
+function registerPinFailure(userId, ip) {
+    const key = pinFailureKey(userId, ip);
+    let entry = pinFailures.get(key);
+    if (!entry || (entry.resetAt < Date.now() && !(entry.lockedUntil > Date.now()))) {
+        entry = { count: 0, resetAt: Date.now() + PIN_LOCK_MINUTES * 60 * 1000, lockedUntil: 0 };
+        pinFailures.set(key, entry);
+    }
+    entry.count++;
+    if (entry.count < PIN_MAX_ATTEMPTS) return false;
+    entry.count = 0;
+    entry.lockedUntil = Date.now() + PIN_LOCK_MINUTES * 60 * 1000;
+    entry.resetAt = entry.lockedUntil;
+    return true;
+}
+
+function clearPinFailures(userId, ip) {
+    pinFailures.delete(pinFailureKey(userId, ip));
+}
+
+// Заблокирован ли пользователь хоть с одного IP (для списка пользователей)
+function isUserPinLocked(userId) {
+    const now = Date.now();
+    for (const [key, entry] of pinFailures) {
+        if (key.startsWith(userId + ' ') && entry.lockedUntil > now) return true;
+    }
+    return false;
+}
+
+function unlockUser(userId) {
+    for (const key of [...pinFailures.keys()]) {
+        if (key.startsWith(userId + ' ')) pinFailures.delete(key);
+    }
+}
+
+// Маршруты, доступные до обязательной смены PIN-кода
+const PIN_CHANGE_ALLOWED = ['/auth/me', '/auth/change-pin', '/auth/logout'];
+
+// Middleware: получить текущего пользователя по токену сессии (Authorization: Bearer ...)
 async function authMiddleware(req, res, next) {
-    const userId = req.headers['x-user-id'];
-    if (!userId) {
-        return res.status(401).json({ error: 'Не авторизован' });
+    try {
+        const header = req.headers.authorization || '';
+        const token = header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+        if (!token) {
+            return res.status(401).json({ error: 'Не авторизован' });
+        }
+        const session = await db.collection('sessions').findOne({ tokenHash: hashSessionToken(token) });
+        await authenticateSession(session, req, res, next);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+}
+
+// Проверить найденную сессию и её пользователя; общая часть authMiddleware и входа в поток по билету
+async function authenticateSession(session, req, res, next) {
+    if (!session || new Date(session.expires) < new Date()) {
+        return res.status(401).json({ error: 'Сессия истекла, войдите заново' });
     }
-    const user = await db.collection('users').findOne({ id: userId, isActive: true });
+    const user = await db.collection('users').findOne({ id: session.userId, isActive: true });
     if (!user) {
         return res.status(401).json({ error: 'Пользователь не найден или не активирован' });
     }
+    if (user.mustChangePin && !PIN_CHANGE_ALLOWED.includes(req.path)) {
+        return res.status(403).json({ error: 'Необходимо сменить PIN-код', mustChangePin: true });
+    }
+    await db.collection('sessions').updateOne({ id: session.id }, { $set: { lastSeen: new Date() } });
     req.user = user;
+    req.session = session;
     next();
 }
 
@@ -39,6 +252,26 @@ function adminOnly(req, res, next) {
     next();
 }
 
+// Секрет для хеширования PIN-кодов: из окружения или сгенерированный при первом запуске
+async function loadPinSecret() {
+    if (process.env.PIN_SECRET) return process.env.PIN_SECRET;
+    const stored = await db.collection('settings').findOne({ id: 'pinSecret' });
+    if (stored) return stored.value;
+    const value = crypto.randomBytes(32).toString('hex');
+    await db.collection('settings').insertOne({ id: 'pinSecret', value });
+    return value;
+}
+
+// Идентификатор экземпляра склада для QR-этикеток: из окружения или сгенерированный при первом запуске
+async function loadInstanceId() {
+    if (process.env.INSTANCE_ID) return process.env.INSTANCE_ID;
+    const stored = await db.collection('settings').findOne({ id: 'instance' });
+    if (stored) return stored.value;
+    const value = crypto.randomBytes(4).toString('hex');
+    await db.collection('settings').insertOne({ id: 'instance', value });
+    return value;
+}
+
 // Подключение к MongoDB
 async function connectDB() {
     try {
@@ -46,6 +279,25 @@ async function connectDB() {
         db = client.db('warehouse');
         console.log('✅ Connected to MongoDB');
 
+        pinSecret = await loadPinSecret();
+        instanceId = await loadInstanceId();
+        await db.collection('sessions').createIndex({ tokenHash: 1 }, { unique: true });
+        await db.collection('sessions').createIndex({ expires: 1 }, { expireAfterSeconds: 0 });
+        await db.collection('history').createIndex({ objectId: 1, at: -1 });
+        await db.collection('history').createIndex({ containerIds: 1, at: -1 });
+        await db.collection('trash').createIndex({ expiresAt: 1 });
+        await db.collection('loans').createIndex({ itemId: 1 });
+        await db.collection('loans').createIndex({ returnedAt: 1, dueDate: 1 });
+        await db.collection('items').createIndex({ 'batches.expiresAt': 1 }, { sparse: true });
+        await db.collection('items').createIndex({ barcodes: 1 }, { sparse: true });
+        await db.collection('products').createIndex({ barcode: 1 }, { unique: true });
+        await db.collection('notifications').createIndex({ userId: 1, at: -1 });
+        await db.collection('notificationSettings').createIndex({ userId: 1 }, { unique: true });
+        await db.collection('shopping').createIndex({ itemId: 1 });
+        await db.collection('purchases').createIndex({ boughtAt: -1 });
+        await db.collection('shoppingShares').createIndex({ token: 1 }, { unique: true });
+        await db.collection('shoppingShares').createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
         // Инициализация категорий по умолчанию
         const categories = await db.collection('categories').find().toArray();
         if (categories.length === 0) {
@@ -59,20 +311,95 @@ async function connectDB() {
             console.log('✅ Default categories created');
         }
 
+        // Дополнительные поля по умолчанию
+        if (await db.collection('fields').countDocuments() === 0) {
+            await db.collection('fields').insertMany(DEFAULT_FIELDS.map((f, idx) => ({
+                ...f, options: [], categories: [], order: idx + 1, rev: 0
+            })));
+            console.log('✅ Default fields created');
+        }
+        // Вместимость появилась позже остальных полей — в уже работающие базы добавляется один раз
+        if (!await db.collection('settings').findOne({ id: 'capacityField' })) {
+            if (!await db.collection('fields').findOne({ id: 'f_capacity' })) {
+                const order = await db.collection('fields').countDocuments() + 1;
+                await db.collection('fields').insertOne({ ...DEFAULT_FIELDS.find(f => f.id === 'f_capacity'), options: [], categories: [], order, rev: await nextRev() });
+            }
+            await db.collection('settings').insertOne({ id: 'capacityField', value: true });
+        }
+
         // Инициализация админа по умолчанию
         const usersCount = await db.collection('users').countDocuments();
         if (usersCount === 0) {
             await db.collection('users').insertOne({
                 id: 'u_admin',
                 name: 'Админ',
-                code: '0000',
+                ...await pinFields(DEFAULT_ADMIN_PIN),
+                mustChangePin: true,
                 isAdmin: true,
                 isActive: true,
                 inviteToken: null,
                 inviteExpires: null
             });
-            console.log('✅ Default admin created (code: 0000)');
+            console.log(`✅ Default admin created (code: ${DEFAULT_ADMIN_PIN}, change required)`);
+        }
+
+        // Миграция: открытые PIN-коды → хеши
+        const legacyUsers = await db.collection('users').find({ code: { $type: 'string' } }).toArray();
+        for (const user of legacyUsers) {
+            const update = await pinFields(user.code);
+            if (user.code === DEFAULT_ADMIN_PIN) update.mustChangePin = true;
+            await db.collection('users').updateOne({ id: user.id }, { $set: update, $unset: { code: '' } });
+        }
+        if (legacyUsers.length > 0) console.log(`✅ Hashed PIN codes: ${legacyUsers.length}`);
+
+        // Миграция: ревизии для документов, созданных до офлайн-режима
+        for (const name of ['containers', 'items', 'categories']) {
+            await db.collection(name).updateMany({ rev: { $exists: false } }, { $set: { rev: 0 } });
+        }
+
+        // Миграция: цикл в дереве контейнеров (старые данные) — такой контейнер не виден никому,
+        // кроме админа: разрываем цикл, поднимая контейнер в корень, как при импорте
+        const treeContainers = await db.collection('containers').find({}, { projection: { id: 1, parent: 1 } }).toArray();
+        const parentOf = new Map(treeContainers.map(c => [c.id, c.parent || null]));
+        let brokenCycles = 0;
+        for (const c of treeContainers) {
+            const seen = new Set();
+            for (let cur = parentOf.get(c.id); cur && !seen.has(cur); cur = parentOf.get(cur)) {
+                if (cur === c.id) {
+                    parentOf.set(c.id, null);
+                    await db.collection('containers').updateOne({ id: c.id }, { $set: { parent: null, rev: await nextRev() } });
+                    brokenCycles++;
+                    break;
+                }
+                seen.add(cur);
+            }
+        }
+        if (brokenCycles > 0) console.log(`✅ Container tree cycles broken: ${brokenCycles}`);
+
+        // Миграция: base64-фото из документов → файлы с миниатюрами
+        await fs.mkdir(PHOTOS_DIR, { recursive: true });
+        let migratedPhotos = 0;
+        for (const name of ['containers', 'items']) {
+            const legacy = db.collection(name).find({ photo: { $regex: '^data:' } }, { projection: { id: 1, photo: 1 } });
+            for await (const doc of legacy) {
+                let photos = [];
+                const buffer = decodeDataUrl(doc.photo);
+                if (buffer) {
+                    try {
+                        photos = [await storePhoto(buffer)];
+                    } catch (err) {
+                        console.error(`❌ Photo migration failed for ${doc.id}:`, err.message);
+                        continue;
+                    }
+                }
+                await db.collection(name).updateOne({ id: doc.id }, { $set: { ...photoFields(photos), rev: await nextRev() } });
+                migratedPhotos++;
+            }
         }
+        if (migratedPhotos > 0) console.log(`✅ Photos moved to ${PHOTOS_DIR}: ${migratedPhotos}`);
+
+        // Список покупок обновляется при изменениях предметов; при запуске — сверка с остатками
+        await syncShoppingLines();
     } catch (err) {
         console.error('❌ MongoDB connection error:', err);
         process.exit(1);
@@ -81,21 +408,128 @@ async function connectDB() {
 
 // Health check
 app.get('/health', (req, res) => {
-    res.json({ status: 'ok', version: '2.0' });
+    res.json({ status: 'ok', version: '2.9.0' });
 });
 
 // === АВТОРИЗАЦИЯ ===
 
-// POST /api/auth/login
+// POST /api/auth/login — вход по имени и PIN-коду, выдаёт токен сессии
 app.post('/auth/login', async (req, res) => {
     try {
-        const { code } = req.body;
-        if (!code) return res.status(400).json({ error: 'Введите код' });
-        const user = await db.collection('users').findOne({ code, isActive: true });
-        if (!user) return res.status(401).json({ error: 'Неверный код' });
-        const { code: _, ...safeUser } = user;
-        delete safeUser._id;
-        res.json({ user: safeUser });
+        const { name, code } = req.body;
+        if (!name || !code) return res.status(400).json({ error: 'Введите имя и код' });
+        if (isIpBlocked(req.ip)) {
+            return res.status(429).json({ error: 'Слишком много попыток, попробуйте позже' });
+        }
+        const candidates = await db.collection('users').find({ isActive: true }).toArray();
+        const lowered = String(name).trim().toLowerCase();
+        const users = candidates.filter(u => u.name.trim().toLowerCase() === lowered);
+        const available = users.filter(u => !isPinLocked(u.id, req.ip));
+        if (users.length > 0 && available.length === 0) {
+            return res.status(423).json({ error: 'Аккаунт временно заблокирован, попробуйте позже' });
+        }
+
+        let user = null;
+        for (const u of available) {
+            if (await verifyPin(u, code)) {
+                user = u;
+                break;
+            }
+        }
+        if (!user) {
+            registerIpFailure(req.ip);
+            // Неверная попытка засчитывается всем аккаунтам с этим именем
+            available.forEach(u => registerPinFailure(u.id, req.ip));
+            return res.status(401).json({ error: 'Неверное имя или код' });
+        }
+
+        clearPinFailures(user.id, req.ip);
+        if (!user.pinSalt) await db.collection('users').updateOne({ id: user.id }, { $set: await pinFields(code) });
+        const { token, expires } = await createSession(user, req);
+        res.json({ user: toSafeUser(user), token, expires });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// POST /api/auth/logout — завершить текущую сессию
+app.post('/auth/logout', authMiddleware, async (req, res) => {
+    try {
+        await db.collection('sessions').deleteOne({ id: req.session.id });
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// GET /api/auth/me — текущий пользователь по токену
+app.get('/auth/me', authMiddleware, (req, res) => {
+    res.json({ user: toSafeUser(req.user) });
+});
+
+// POST /api/auth/change-pin — смена PIN-кода (обязательна для админа с кодом по умолчанию).
+// Неверный текущий код считается как при входе; после блокировки сессия завершается,
+// чтобы с чужой сессией нельзя было подобрать PIN
+app.post('/auth/change-pin', authMiddleware, async (req, res) => {
+    try {
+        const { oldCode, newCode } = req.body;
+        if (!oldCode || !newCode) return res.status(400).json({ error: 'Заполните все поля' });
+        if (isIpBlocked(req.ip)) {
+            return res.status(429).json({ error: 'Слишком много попыток, попробуйте позже' });
+        }
+        if (isPinLocked(req.user.id, req.ip)) {
+            return res.status(423).json({ error: 'Аккаунт временно заблокирован, попробуйте позже' });
+        }
+        if (!await verifyPin(req.user, oldCode)) {
+            registerIpFailure(req.ip);
+            if (registerPinFailure(req.user.id, req.ip)) {
+                await db.collection('sessions').deleteOne({ id: req.session.id });
+                return res.status(423).json({ error: 'Слишком много неверных попыток, войдите заново' });
+            }
+            return res.status(400).json({ error: 'Неверный текущий код' });
+        }
+        clearPinFailures(req.user.id, req.ip);
+        if (!isValidPin(newCode)) return res.status(400).json({ error: 'Код должен быть от 4 до 6 цифр' });
+        if (newCode === oldCode || newCode === DEFAULT_ADMIN_PIN) {
+            return res.status(400).json({ error: 'Выберите другой код' });
+        }
+        await db.collection('users').updateOne({ id: req.user.id }, {
+            $set: { ...await pinFields(newCode), mustChangePin: false }
+        });
+        // Остальные устройства выходят, текущая сессия остаётся
+        await db.collection('sessions').deleteMany({ userId: req.user.id, id: { $ne: req.session.id } });
+        const updated = await db.collection('users').findOne({ id: req.user.id });
+        res.json({ user: toSafeUser(updated) });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// GET /api/auth/sessions — активные сессии текущего пользователя
+app.get('/auth/sessions', authMiddleware, async (req, res) => {
+    try {
+        const sessions = await db.collection('sessions').find({ userId: req.user.id }).sort({ lastSeen: -1 }).toArray();
+        res.json(sessions.map(s => ({
+            id: s.id,
+            created: s.created,
+            lastSeen: s.lastSeen,
+            expires: s.expires,
+            userAgent: s.userAgent,
+            current: s.id === req.session.id
+        })));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// DELETE /api/auth/sessions/:id — отозвать сессию (свою или, для админа, любую)
+app.delete('/auth/sessions/:id', authMiddleware, async (req, res) => {
+    try {
+        const filter = { id: req.params.id };
+        if (!req.user.isAdmin) filter.userId = req.user.id;
+        const result = await db.collection('sessions').deleteOne(filter);
+        if (result.deletedCount === 0) return res.status(404).json({ error: 'Сессия не найдена' });
+        res.json({ success: true });
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
@@ -106,12 +540,9 @@ app.post('/auth/activate', async (req, res) => {
     try {
         const { inviteToken, code } = req.body;
         if (!inviteToken || !code) return res.status(400).json({ error: 'Заполните все поля' });
-        if (code.length < 4 || code.length > 6 || !/^\d+$/.test(code)) {
+        if (!isValidPin(code)) {
             return res.status(400).json({ error: 'Код должен быть от 4 до 6 цифр' });
         }
-        // Проверить уникальность кода
-        const existingCode = await db.collection('users').findOne({ code, isActive: true });
-        if (existingCode) return res.status(400).json({ error: 'Этот код уже занят, выберите другой' });
 
         const user = await db.collection('users').findOne({ inviteToken, isActive: false });
         if (!user) return res.status(404).json({ error: 'Приглашение не найдено или уже использовано' });
@@ -119,12 +550,17 @@ app.post('/auth/activate', async (req, res) => {
             return res.status(400).json({ error: 'Приглашение истекло' });
         }
         await db.collection('users').updateOne({ id: user.id }, {
-            $set: { code, isActive: true, inviteToken: null, inviteExpires: null }
+            $set: {
+                ...await pinFields(code),
+                mustChangePin: false,
+                isActive: true,
+                inviteToken: null,
+                inviteExpires: null
+            }
         });
         const updated = await db.collection('users').findOne({ id: user.id });
-        const { code: _, ...safeUser } = updated;
-        delete safeUser._id;
-        res.json({ user: safeUser });
+        const { token, expires } = await createSession(updated, req);
+        res.json({ user: toSafeUser(updated), token, expires });
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
@@ -150,11 +586,10 @@ app.get('/auth/invite/:token', async (req, res) => {
 app.get('/users', authMiddleware, adminOnly, async (req, res) => {
     try {
         const users = await db.collection('users').find().toArray();
-        const safe = users.map(u => {
-            const { code, _id, ...rest } = u;
-            return rest;
-        });
-        res.json(safe);
+        res.json(users.map(u => ({
+            ...toSafeUser(u),
+            isLocked: isUserPinLocked(u.id)
+        })));
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
@@ -170,15 +605,14 @@ app.post('/users', authMiddleware, adminOnly, async (req, res) => {
         const user = {
             id: 'u' + Date.now(),
             name,
-            code: null,
+            pinHash: null,
             isAdmin: isAdmin || false,
             isActive: false,
             inviteToken,
             inviteExpires
         };
         await db.collection('users').insertOne(user);
-        const { code, _id, ...safeUser } = user;
-        res.status(201).json({ user: safeUser, inviteToken });
+        res.status(201).json({ user: toSafeUser(user), inviteToken });
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
@@ -191,6 +625,7 @@ app.delete('/users/:id', authMiddleware, adminOnly, async (req, res) => {
         if (id === req.user.id) return res.status(400).json({ error: 'Нельзя удалить самого себя' });
         await db.collection('users').deleteOne({ id });
         await db.collection('containerAccess').deleteMany({ userId: id });
+        await revokeSessions(id);
         res.json({ success: true });
     } catch (err) {
         res.status(500).json({ error: err.message });
@@ -204,61 +639,519 @@ app.post('/users/:id/reset', authMiddleware, adminOnly, async (req, res) => {
         const inviteToken = generateToken();
         const inviteExpires = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
         await db.collection('users').updateOne({ id }, {
-            $set: { code: null, isActive: false, inviteToken, inviteExpires }
+            $set: { pinHash: null, pinSalt: null, isActive: false, inviteToken, inviteExpires, inviteReminderAt: null }
         });
+        unlockUser(id);
+        await revokeSessions(id);
         res.json({ inviteToken });
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 });
 
+// POST /api/users/:id/unlock — снять блокировку после неверных PIN-кодов
+app.post('/users/:id/unlock', authMiddleware, adminOnly, async (req, res) => {
+    try {
+        unlockUser(req.params.id);
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
 // === ВСПОМОГАТЕЛЬНЫЕ ФУНКЦИИ ДОСТУПА ===
 
-// Получить все контейнеры, к которым пользователь имеет доступ
-async function getAccessibleContainerIds(userId) {
-    // Получить все контейнеры
+// Роли на контейнер: помощник-читатель, помощник-редактор, владелец, админ
+const ROLE_RANK = { viewer: 1, editor: 2, owner: 3, admin: 4 };
+// Уровни операций: чтение, изменение содержимого, управление доступом
+const LEVEL_RANK = { read: 1, edit: 2, manage: 3 };
+const HELPER_ROLES = ['viewer', 'editor'];
+
+function roleAllows(role, level) {
+    return !!role && ROLE_RANK[role] >= LEVEL_RANK[level];
+}
+
+function strongerRole(a, b) {
+    if (!a) return b || null;
+    if (!b) return a;
+    return ROLE_RANK[a] >= ROLE_RANK[b] ? a : b;
+}
+
+// Получить роль пользователя для каждого доступного контейнера.
+// Права наследуются вниз по дереву: доступ к коробке даёт доступ ко всему, что в ней лежит.
+async function getContainerRoles(user) {
     const allContainers = await db.collection('containers').find().toArray();
-    // Контейнеры, где пользователь — владелец
-    const ownedIds = new Set(allContainers.filter(c => c.ownerId === userId).map(c => c.id));
-    // Контейнеры, к которым есть прямой доступ (помощник)
-    const accessRecords = await db.collection('containerAccess').find({ userId }).toArray();
-    const directAccessIds = new Set(accessRecords.map(a => a.containerId));
-
-    // Корневые контейнеры, к которым есть доступ
-    const rootAccessIds = new Set([...ownedIds, ...directAccessIds]);
-
-    // Добавить все вложенные контейнеры
-    const allAccessible = new Set(rootAccessIds);
-    function addChildren(parentId) {
-        allContainers.filter(c => c.parent === parentId).forEach(child => {
-            allAccessible.add(child.id);
-            addChildren(child.id);
+    const roles = new Map();
+    if (user.isAdmin) {
+        allContainers.forEach(c => roles.set(c.id, 'admin'));
+        return roles;
+    }
+    // Прямой доступ помощника (старые записи без роли — редакторы)
+    const accessRecords = await db.collection('containerAccess').find({ userId: user.id }).toArray();
+    const directRoles = new Map();
+    accessRecords.forEach(a => {
+        directRoles.set(a.containerId, strongerRole(directRoles.get(a.containerId), a.role || 'editor'));
+    });
+
+    const byId = new Map(allContainers.map(c => [c.id, c]));
+    const childrenOf = new Map();
+    allContainers.forEach(c => {
+        const parentKey = c.parent && byId.has(c.parent) ? c.parent : null;
+        if (!childrenOf.has(parentKey)) childrenOf.set(parentKey, []);
+        childrenOf.get(parentKey).push(c);
+    });
+
+    const visited = new Set();
+    function walk(container, inherited) {
+        if (visited.has(container.id)) return;
+        visited.add(container.id);
+        let role = inherited;
+        if (container.ownerId === user.id) role = strongerRole(role, 'owner');
+        role = strongerRole(role, directRoles.get(container.id));
+        if (role) roles.set(container.id, role);
+        (childrenOf.get(container.id) || []).forEach(child => walk(child, role));
+    }
+    (childrenOf.get(null) || []).forEach(c => walk(c, null));
+    // Не достижимые от корня (цикл в дереве): свои и выданные контейнеры всё равно доступны
+    allContainers.forEach(c => {
+        if (!visited.has(c.id) && (c.ownerId === user.id || directRoles.has(c.id))) walk(c, null);
+    });
+    return roles;
+}
+
+// Получить все контейнеры, к которым пользователь имеет доступ
+async function getAccessibleContainerIds(user) {
+    const roles = await getContainerRoles(user);
+    return new Set(roles.keys());
+}
+
+// Роль пользователя на конкретный контейнер (null — нет доступа)
+async function getContainerRole(user, containerId) {
+    if (!containerId) return null;
+    const roles = await getContainerRoles(user);
+    return roles.get(containerId) || null;
+}
+
+// Контейнер и все вложенные в него (Set id). containers — список, в котором искать детей
+function getSubtreeIds(rootId, containers) {
+    const ids = new Set([rootId]);
+    let added = true;
+    while (added) {
+        added = false;
+        containers.forEach(c => {
+            if (c.parent && ids.has(c.parent) && !ids.has(c.id)) {
+                ids.add(c.id);
+                added = true;
+            }
         });
     }
-    rootAccessIds.forEach(id => addChildren(id));
-    return allAccessible;
+    return ids;
+}
+
+// Проверка прав на контейнер внутри обработчика; при отказе сама отвечает 403
+async function checkContainerAccess(req, res, containerId, level) {
+    const role = await getContainerRole(req.user, containerId);
+    if (!roleAllows(role, level)) {
+        res.status(403).json({ error: 'Нет доступа к контейнеру' });
+        return false;
+    }
+    return true;
+}
+
+// Проверка прав на место в дереве: внутри контейнера нужны права на него,
+// в корне распоряжается только владелец перемещаемого контейнера
+async function checkPlacementAccess(req, res, parentId, container) {
+    if (parentId) return checkContainerAccess(req, res, parentId, 'edit');
+    if (container && container.ownerId !== req.user.id && !req.user.isAdmin) {
+        res.status(403).json({ error: 'Только владелец может размещать контейнер в корне' });
+        return false;
+    }
+    return true;
+}
+
+// Middleware: права на контейнер из :id
+function containerPermission(level) {
+    return async (req, res, next) => {
+        try {
+            const container = await db.collection('containers').findOne({ id: req.params.id });
+            if (!container) return res.status(404).json({ error: 'Контейнер не найден' });
+            const role = await getContainerRole(req.user, container.id);
+            if (!roleAllows(role, level)) return res.status(403).json({ error: 'Нет доступа к контейнеру' });
+            req.container = container;
+            req.containerRole = role;
+            next();
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    };
+}
+
+// Middleware: права на предмет из :id (проверяются по его контейнеру)
+function itemPermission(level) {
+    return async (req, res, next) => {
+        try {
+            const item = await db.collection('items').findOne({ id: req.params.id });
+            if (!item) return res.status(404).json({ error: 'Предмет не найден' });
+            const role = await getContainerRole(req.user, item.container);
+            if (!roleAllows(role, level)) return res.status(403).json({ error: 'Нет доступа к предмету' });
+            req.item = item;
+            req.containerRole = role;
+            next();
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    };
+}
+
+// Middleware: права редактора хоть в одном контейнере (или админ) — для общих действий без конкретного контейнера
+function editorSomewhere(error) {
+    return async (req, res, next) => {
+        try {
+            const roles = await getContainerRoles(req.user);
+            if (!req.user.isAdmin && ![...roles.values()].some(role => roleAllows(role, 'edit'))) {
+                return res.status(403).json({ error });
+            }
+            next();
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    };
+}
+
+// === РЕВИЗИИ И КОНФЛИКТЫ ===
+
+// Глобальный счётчик ревизий: каждое изменение документа получает следующий номер.
+// По нему работает /sync?since= и обнаружение конфликтов офлайн-правок
+async function nextRev() {
+    const result = await db.collection('counters').findOneAndUpdate(
+        { id: 'rev' },
+        { $inc: { value: 1 } },
+        { upsert: true, returnDocument: 'after', includeResultMetadata: true }
+    );
+    return result.value.value;
+}
+
+async function currentRev() {
+    const counter = await db.collection('counters').findOne({ id: 'rev' });
+    return counter ? counter.value : 0;
+}
+
+// Клиент присылает baseRev — ревизию документа, которую он видел перед правкой
+function hasConflict(doc, baseRev) {
+    return baseRev !== undefined && baseRev !== null && baseRev !== '' && (doc.rev || 0) !== Number(baseRev);
+}
+
+function sendConflict(res, doc) {
+    const { _id, ...server } = doc;
+    res.status(409).json({ error: 'Объект изменён на другом устройстве', conflict: true, server });
+}
+
+// Повторное создание с уже занятым id. Id предсказуемы (префикс + время), поэтому сам документ
+// отдаётся, только если пользователь видит его контейнер, — иначе перебором можно читать чужое
+async function sendCreateConflict(req, res, existing, containerId) {
+    const roles = await getContainerRoles(req.user);
+    if (roles.has(containerId)) return sendConflict(res, existing);
+    res.status(409).json({ error: 'Объект с таким id уже существует', conflict: true });
+}
+
+// Id, созданный клиентом (нужен офлайн-очереди, чтобы ссылаться на ещё не отправленные объекты)
+async function resolveNewId(collection, prefix, clientId) {
+    if (typeof clientId === 'string' && clientId.length <= 40 && new RegExp('^' + prefix + '[0-9a-z]+$').test(clientId)) {
+        const existing = await db.collection(collection).findOne({ id: clientId });
+        if (existing) return { existing };
+        return { id: clientId };
+    }
+    return { id: prefix + Date.now() };
+}
+
+// === ФОТО ===
+
+// Сохранить изображение: уменьшенный оригинал и квадратная миниатюра для карточек.
+// Имя файла случайное, файл никогда не перезаписывается — его можно кешировать навсегда.
+// id передаётся только при восстановлении из резервной копии
+async function storePhoto(buffer, id = crypto.randomBytes(12).toString('hex')) {
+    const image = sharp(buffer).rotate(); // учесть EXIF-ориентацию снимков с телефона
+    await image.clone()
+        .resize(PHOTO_MAX_SIZE, PHOTO_MAX_SIZE, { fit: 'inside', withoutEnlargement: true })
+        .jpeg({ quality: 82 })
+        .toFile(path.join(PHOTOS_DIR, id + '.jpg'));
+    await image.clone()
+        .resize(THUMB_SIZE, THUMB_SIZE, { fit: 'cover' })
+        .jpeg({ quality: 75 })
+        .toFile(path.join(PHOTOS_DIR, id + '_thumb.jpg'));
+    return { id, url: `/photos/${id}.jpg`, thumb: `/photos/${id}_thumb.jpg` };
+}
+
+function decodeDataUrl(value) {
+    const match = /^data:image\/[a-z0-9.+-]+;base64,(.+)$/is.exec(value || '');
+    return match ? Buffer.from(match[1], 'base64') : null;
+}
+
+function isStoredPhotoUrl(url) {
+    return typeof url === 'string' && /^\/photos\/[0-9a-f]+(_thumb)?\.jpg$/.test(url);
+}
+
+// Фото из тела запроса: массив photos (уже загруженные через POST /photos) или старое поле photo
+// (base64 от старых клиентов и офлайн-очереди — сохраняется в файл). { photos: undefined } — фото не меняли
+async function resolvePhotos(body) {
+    if (body.photos !== undefined) {
+        if (!Array.isArray(body.photos) || body.photos.length > MAX_PHOTOS) return { error: 'Неверный список фото' };
+        const photos = [];
+        for (const p of body.photos) {
+            if (p && typeof p.data === 'string') {
+                const buffer = decodeDataUrl(p.data);
+                if (!buffer) return { error: 'Неверный формат фото' };
+                photos.push(await storePhoto(buffer));
+            } else if (p && isStoredPhotoUrl(p.url)) {
+                photos.push({ id: p.id || null, url: p.url, thumb: isStoredPhotoUrl(p.thumb) ? p.thumb : p.url });
+            } else {
+                return { error: 'Неверный список фото' };
+            }
+        }
+        return { photos };
+    }
+    if (body.photo !== undefined) {
+        if (!body.photo) return { photos: [] };
+        const buffer = decodeDataUrl(body.photo);
+        if (buffer) return { photos: [await storePhoto(buffer)] };
+        if (isStoredPhotoUrl(body.photo)) return { photos: [{ id: null, url: body.photo, thumb: body.photo }] };
+        return { error: 'Неверный формат фото' };
+    }
+    return { photos: undefined };
+}
+
+// photo/thumb — первое фото, для карточек и старых клиентов
+function photoFields(photos) {
+    return {
+        photos,
+        photo: photos.length > 0 ? photos[0].url : null,
+        thumb: photos.length > 0 ? photos[0].thumb : null
+    };
+}
+
+// Файл фото нужен, пока на него ссылается документ — в том числе удалённый, лежащий в корзине.
+// Файл может быть общим: фото каталога товаров и предметов, созданных из каталога
+async function photoInUse(url) {
+    const places = [['products', 'photo.url'], ['items', 'photos.url'], ['containers', 'photos.url'],
+        ['trash', 'items.photos.url'], ['trash', 'containers.photos.url']];
+    for (const [name, field] of places) {
+        if (await db.collection(name).findOne({ [field]: url })) return true;
+    }
+    return false;
+}
+
+async function deletePhotoFiles(docs) {
+    for (const doc of docs) {
+        for (const p of doc.photos || []) {
+            const id = photoIdFromUrl(p.url);
+            if (!id || await photoInUse(p.url)) continue;
+            for (const file of [id + '.jpg', id + '_thumb.jpg']) {
+                await fs.unlink(path.join(PHOTOS_DIR, file)).catch(() => {});
+            }
+        }
+    }
+}
+
+// Фото, убранные из документа при правке (вызывать после записи — иначе файл ещё «используется»)
+async function deleteDroppedPhotos(before, after) {
+    const kept = new Set((after || []).map(p => p.url));
+    await deletePhotoFiles([{ photos: (before || []).filter(p => !kept.has(p.url)) }]);
+}
+
+// Загруженные через POST /photos, но так и не прикреплённые фото (правку отменили, вкладку закрыли).
+// Удаляются через PHOTO_ORPHAN_HOURS: клиент мог загрузить фото и ещё не отправить сам документ
+async function purgeOrphanPhotos() {
+    const used = new Set();
+    for (const name of ['containers', 'items', 'trash', 'products']) {
+        for await (const doc of db.collection(name).find()) collectPhotoIds(name, doc, used);
+    }
+    const cutoff = Date.now() - PHOTO_ORPHAN_HOURS * 60 * 60 * 1000;
+    let removed = 0;
+    for (const file of await fs.readdir(PHOTOS_DIR)) {
+        const match = /^([0-9a-f]+)\.jpg$/.exec(file);
+        if (!match || used.has(match[1])) continue;
+        const stat = await fs.stat(path.join(PHOTOS_DIR, file)).catch(() => null);
+        // Свежий файл или прикреплённый, пока шёл обход
+        if (!stat || stat.mtimeMs > cutoff || await photoInUse(`/photos/${file}`)) continue;
+        for (const name of [file, match[1] + '_thumb.jpg']) {
+            await fs.unlink(path.join(PHOTOS_DIR, name)).catch(() => {});
+        }
+        removed++;
+    }
+    return removed;
+}
+
+function schedulePhotoCleanup() {
+    const run = () => purgeOrphanPhotos()
+        .then(count => { if (count > 0) console.log(`🖼️ Orphan photos removed: ${count}`); })
+        .catch(err => console.error('❌ Photo cleanup failed:', err.message));
+    run();
+    setInterval(run, 60 * 60 * 1000);
+}
+
+// POST /api/photos — загрузить фото (multipart, поле photo, можно несколько). Только тем, кто может что-то
+// править: зритель файлы на диск не пишет. Новый пользователь без контейнеров получит 403 — фронтенд тогда
+// отправит фото прямо в создании контейнера (data URL), где права проверяет сам маршрут
+app.post('/photos', authMiddleware, editorSomewhere('Нет прав на загрузку фото'), (req, res, next) => {
+    upload.array('photo', MAX_PHOTOS)(req, res, err => {
+        if (err) return res.status(400).json({ error: 'Ошибка загрузки: ' + err.message });
+        next();
+    });
+}, async (req, res) => {
+    try {
+        if (!req.files || req.files.length === 0) return res.status(400).json({ error: 'Нет файла' });
+        const photos = [];
+        for (const file of req.files) {
+            try {
+                photos.push(await storePhoto(file.buffer));
+            } catch (err) {
+                return res.status(400).json({ error: 'Не удалось прочитать изображение' });
+            }
+        }
+        res.status(201).json({ photos });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// === ИСТОРИЯ ИЗМЕНЕНИЙ ===
+
+// Причины изменения количества/расположения
+const HISTORY_REASONS = ['writeoff', 'restock', 'move', 'correction'];
+// Поля, по которым пишется история (фото и партии — только количество)
+const ITEM_TRACKED_FIELDS = ['name', 'quantity', 'minQuantity', 'category', 'container', 'photos', 'batches', 'fields', 'tags', 'barcodes'];
+const CONTAINER_TRACKED_FIELDS = ['name', 'number', 'parent', 'ownerId', 'photos', 'fields', 'tags'];
+
+// Разница между старым документом и обновлением: { поле: { from, to } }
+function diffFields(before, update, fields) {
+    const changes = {};
+    fields.forEach(field => {
+        if (update[field] === undefined) return;
+        const from = before[field] === undefined ? null : before[field];
+        const to = update[field];
+        if (field === 'photos') {
+            const urls = list => (list || []).map(p => p.url).join('|');
+            if (urls(from) !== urls(to)) changes.photos = { from: (from || []).length, to: to.length };
+            return;
+        }
+        if (field === 'batches') {
+            const text = list => (list || []).map(b => `${b.quantity}@${b.expiresAt}`).join('|');
+            if (text(from) !== text(to)) changes.batches = { from: (from || []).length, to: to.length };
+            return;
+        }
+        // Дополнительные поля — только изменившиеся значения
+        if (field === 'fields') {
+            const diff = { from: {}, to: {} };
+            new Set([...Object.keys(from || {}), ...Object.keys(to)]).forEach(key => {
+                const a = (from || {})[key], b = to[key];
+                if (a === b) return;
+                diff.from[key] = a === undefined ? null : a;
+                diff.to[key] = b === undefined ? null : b;
+            });
+            if (Object.keys(diff.to).length > 0) changes.fields = diff;
+            return;
+        }
+        if (field === 'tags' || field === 'barcodes') {
+            if ((from || []).join('|') !== to.join('|')) changes[field] = { from: from || [], to };
+            return;
+        }
+        if (from === to) return;
+        changes[field] = { from, to };
+    });
+    return changes;
+}
+
+// Добавить запись в журнал (только добавление — записи не меняются и не удаляются).
+// containerIds — все контейнеры, которых касается запись: по ним фильтруется лента
+async function recordHistory(req, entry) {
+    const record = {
+        id: 'h' + Date.now() + crypto.randomBytes(3).toString('hex'),
+        at: new Date(),
+        userId: req.user.id,
+        userName: req.user.name,
+        reason: null,
+        comment: null,
+        changes: {},
+        quantityDelta: 0,
+        ...entry
+    };
+    record.containerIds = [...new Set((entry.containerIds || []).filter(Boolean))];
+    await db.collection('history').insertOne(record);
+    publishChange(req, {
+        objectType: record.objectType,
+        objectId: record.objectId,
+        objectName: record.objectName,
+        action: record.action,
+        containerIds: record.containerIds
+    });
+    return record;
+}
+
+function itemHistoryEntry(action, item, extra) {
+    return {
+        objectType: 'item',
+        objectId: item.id,
+        objectName: item.name,
+        action,
+        containerIds: [item.container],
+        ...extra
+    };
+}
+
+function containerHistoryEntry(action, container, extra) {
+    return {
+        objectType: 'container',
+        objectId: container.id,
+        objectName: container.name,
+        action,
+        containerIds: [container.id, container.parent],
+        ...extra
+    };
+}
+
+function toHistoryDto(record) {
+    const { _id, ...rest } = record;
+    return rest;
 }
 
 // === КОНТЕЙНЕРЫ ===
 
 // Синхронизация — получить все данные (с учётом прав)
+// ?since=<rev> — дельта: только документы с ревизией больше since плюс id всех видимых
+// документов, чтобы клиент убрал удалённые и те, к которым пропал доступ
 app.get('/sync', authMiddleware, async (req, res) => {
     try {
-        const user = req.user;
-        let containers, items;
-        if (user.isAdmin) {
-            containers = await db.collection('containers').find().toArray();
-            items = await db.collection('items').find().toArray();
-        } else {
-            const accessibleIds = await getAccessibleContainerIds(user.id);
-            containers = await db.collection('containers').find().toArray();
-            containers = containers.filter(c => accessibleIds.has(c.id));
-            items = await db.collection('items').find().toArray();
-            const idsSet = new Set(containers.map(c => c.id));
-            items = items.filter(i => idsSet.has(i.container));
-        }
+        // Ревизию читаем до выборки: изменения во время запроса придут в следующей дельте
+        const rev = await currentRev();
+        const roles = await getContainerRoles(req.user);
+        let containers = await db.collection('containers').find().toArray();
+        containers = containers.filter(c => roles.has(c.id));
+        let items = await db.collection('items').find().toArray();
+        items = items.filter(i => roles.has(i.container));
         const categories = await db.collection('categories').find().sort({ order: 1 }).toArray();
-        res.json({ containers, items, categories });
+        const fields = await db.collection('fields').find().sort({ order: 1 }).toArray();
+
+        const since = parseInt(req.query.since);
+        if (isNaN(since)) {
+            return res.json({ containers, items, categories, fields, roles: Object.fromEntries(roles), rev, instance: instanceId, full: true });
+        }
+        const changed = doc => (doc.rev || 0) > since;
+        res.json({
+            containers: containers.filter(changed),
+            items: items.filter(changed),
+            categories: categories.filter(changed),
+            fields: fields.filter(changed),
+            ids: {
+                containers: containers.map(c => c.id),
+                items: items.map(i => i.id),
+                categories: categories.map(c => c.id),
+                fields: fields.map(f => f.id)
+            },
+            roles: Object.fromEntries(roles),
+            rev,
+            instance: instanceId,
+            full: false
+        });
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
@@ -266,15 +1159,9 @@ app.get('/sync', authMiddleware, async (req, res) => {
 
 app.get('/containers', authMiddleware, async (req, res) => {
     try {
-        const user = req.user;
-        let containers;
-        if (user.isAdmin) {
-            containers = await db.collection('containers').find().toArray();
-        } else {
-            const accessibleIds = await getAccessibleContainerIds(user.id);
-            containers = await db.collection('containers').find().toArray();
-            containers = containers.filter(c => accessibleIds.has(c.id));
-        }
+        const accessibleIds = await getAccessibleContainerIds(req.user);
+        let containers = await db.collection('containers').find().toArray();
+        containers = containers.filter(c => accessibleIds.has(c.id));
         res.json(containers);
     } catch (err) {
         res.status(500).json({ error: err.message });
@@ -286,62 +1173,154 @@ app.post('/containers', authMiddleware, async (req, res) => {
         let ownerId = req.user.id;
         if (req.body.parent) {
             const parentContainer = await db.collection('containers').findOne({ id: req.body.parent });
-            if (parentContainer) {
-                ownerId = parentContainer.ownerId || req.user.id;
-            }
+            if (!parentContainer) return res.status(404).json({ error: 'Родительский контейнер не найден' });
+            if (!await checkContainerAccess(req, res, parentContainer.id, 'edit')) return;
+            ownerId = parentContainer.ownerId || req.user.id;
         }
+        const { id, existing } = await resolveNewId('containers', 'c', req.body.id);
+        if (existing) return sendCreateConflict(req, res, existing, existing.id);
+        const { photos, error } = await resolvePhotos(req.body);
+        if (error) return res.status(400).json({ error });
+        const extras = await parseExtras(req.body, 'container');
+        if (extras.error) return res.status(400).json({ error: extras.error });
         const container = {
-            id: 'c' + Date.now(),
+            id,
             name: req.body.name,
             number: req.body.number || null,
-            photo: req.body.photo || null,
+            ...photoFields(photos || []),
             parent: req.body.parent || null,
             ownerId: ownerId,
-            created: new Date().toISOString()
+            ...extras.values,
+            created: new Date().toISOString(),
+            rev: await nextRev()
         };
         await db.collection('containers').insertOne(container);
+        await recordHistory(req, containerHistoryEntry('create', container));
         res.status(201).json(container);
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 });
 
-app.put('/containers/:id', authMiddleware, async (req, res) => {
+app.put('/containers/:id', authMiddleware, containerPermission('edit'), async (req, res) => {
     try {
         const { id } = req.params;
         const update = {};
         if (req.body.name !== undefined) update.name = req.body.name;
         if (req.body.number !== undefined) update.number = req.body.number;
-        if (req.body.photo !== undefined) update.photo = req.body.photo;
-        if (req.body.parent !== undefined) update.parent = req.body.parent;
+        let containers = null;
+        if (req.body.parent !== undefined && (req.body.parent || null) !== (req.container.parent || null)) {
+            // Перенос — те же проверки, что в POST /containers/:id/move
+            containers = await db.collection('containers').find().toArray();
+            const target = req.body.parent || null;
+            const moveError = containerMoveError(req.user, await getContainerRoles(req.user), req.container, target, containers);
+            if (moveError) return res.status(moveError.status).json({ error: moveError.error });
+            update.parent = target;
+            update.ownerId = ownerAfterMove(req.container, target, containers);
+        }
+        if (hasConflict(req.container, req.body.baseRev)) return sendConflict(res, req.container);
+        const { photos, error } = await resolvePhotos(req.body);
+        if (error) return res.status(400).json({ error });
+        if (photos) Object.assign(update, photoFields(photos));
+        const extras = await parseExtras(req.body, 'container');
+        if (extras.error) return res.status(400).json({ error: extras.error });
+        Object.assign(update, extras.values);
 
-        await db.collection('containers').updateOne({ id }, { $set: update });
+        update.rev = await nextRev();
+        const result = await db.collection('containers').updateOne({ id, rev: req.container.rev }, { $set: update });
+        if (result.matchedCount === 0) return sendConflict(res, await db.collection('containers').findOne({ id }));
+        if (update.ownerId !== undefined && update.ownerId !== req.container.ownerId) {
+            await rehomeSubtree(id, update.ownerId, containers, update.rev);
+        }
         const container = await db.collection('containers').findOne({ id });
+        if (update.photos) await deleteDroppedPhotos(req.container.photos, update.photos);
+        const changes = diffFields(req.container, update, CONTAINER_TRACKED_FIELDS);
+        if (Object.keys(changes).length > 0) {
+            await recordHistory(req, containerHistoryEntry(changes.parent ? 'move' : 'update', container, {
+                changes,
+                reason: changes.parent ? 'move' : null,
+                comment: req.body.comment || null,
+                containerIds: [id, req.container.parent, container.parent]
+            }));
+        }
         res.json(container);
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 });
 
-app.delete('/containers/:id', authMiddleware, async (req, res) => {
+// DELETE /api/containers/:id — удалить в корзину. ?mode=cascade — вместе со всем содержимым,
+// ?mode=moveUp — содержимое переезжает в родительский контейнер; без mode — только пустой
+app.delete('/containers/:id', authMiddleware, containerPermission('edit'), async (req, res) => {
     try {
         const { id } = req.params;
+        const mode = req.query.mode || null;
+        if (mode && !DELETE_MODES.includes(mode)) return res.status(400).json({ error: 'Неизвестный режим удаления' });
+        if (!await checkPlacementAccess(req, res, req.container.parent, req.container)) return;
+        if (hasConflict(req.container, req.query.baseRev)) return sendConflict(res, req.container);
 
-        // Проверка на вложенные контейнеры
-        const children = await db.collection('containers').countDocuments({ parent: id });
-        if (children > 0) {
-            return res.status(400).json({ error: 'Container has nested containers' });
+        const containers = await db.collection('containers').find().toArray();
+        const childContainers = containers.filter(c => c.parent === id);
+        const childItems = await db.collection('items').find({ container: id }).toArray();
+        if (!mode) {
+            // Проверка на вложенные контейнеры
+            if (childContainers.length > 0) {
+                return res.status(400).json({ error: 'Container has nested containers' });
+            }
+            // Проверка на предметы
+            if (childItems.length > 0) {
+                return res.status(400).json({ error: 'Container has items' });
+            }
         }
 
-        // Проверка на предметы
-        const items = await db.collection('items').countDocuments({ container: id });
-        if (items > 0) {
-            return res.status(400).json({ error: 'Container has items' });
+        let trashed = { containers: [req.container], items: [] };
+        if (mode === 'cascade') {
+            const subtree = getSubtreeIds(id, containers);
+            trashed = {
+                containers: containers.filter(c => subtree.has(c.id)),
+                items: await db.collection('items').find({ container: { $in: [...subtree] } }).toArray()
+            };
+            const lent = trashed.items.filter(i => i.loaned > 0);
+            if (lent.length > 0) {
+                return res.status(409).json({ error: `Внутри есть выданные предметы: ${lent.map(i => i.name).join(', ')} — сначала оформите возврат` });
+            }
+        } else if (mode === 'moveUp') {
+            const target = req.container.parent || null;
+            if (childItems.length > 0 && !target) {
+                return res.status(400).json({ error: 'Предметы нельзя переложить в корень — удалите контейнер вместе с содержимым или сначала перенесите их' });
+            }
+            const rev = await nextRev();
+            const comment = `Контейнер «${req.container.name}» удалён`;
+            for (const child of childContainers) {
+                const ownerId = ownerAfterMove(child, target, containers);
+                await db.collection('containers').updateOne({ id: child.id }, { $set: { parent: target, ownerId, rev } });
+                if (ownerId !== child.ownerId) await rehomeSubtree(child.id, ownerId, containers, rev);
+                await recordHistory(req, containerHistoryEntry('move', { ...child, parent: target }, {
+                    changes: diffFields(child, { parent: target, ownerId }, CONTAINER_TRACKED_FIELDS),
+                    reason: 'move',
+                    comment,
+                    containerIds: [child.id, id, target]
+                }));
+            }
+            if (childItems.length > 0) {
+                await db.collection('items').updateMany({ container: id }, { $set: { container: target, rev } });
+                for (const item of childItems) {
+                    await recordHistory(req, itemHistoryEntry('move', { ...item, container: target }, {
+                        changes: { container: { from: id, to: target } },
+                        reason: 'move',
+                        comment,
+                        containerIds: [id, target]
+                    }));
+                }
+            }
         }
 
-        await db.collection('containers').deleteOne({ id });
-        await db.collection('containerAccess').deleteMany({ containerId: id });
-        res.json({ success: true });
+        const entry = await moveToTrash(req, 'container', req.container, trashed);
+        for (const item of trashed.items) {
+            await recordHistory(req, itemHistoryEntry('delete', item, { quantityDelta: -(item.quantity || 0) }));
+        }
+        for (const c of trashed.containers) await recordHistory(req, containerHistoryEntry('delete', c));
+        res.json({ success: true, trashId: entry.id, containers: trashed.containers.length, items: trashed.items.length });
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
@@ -351,8 +1330,9 @@ app.delete('/containers/:id', authMiddleware, async (req, res) => {
 
 app.get('/items', authMiddleware, async (req, res) => {
     try {
+        const accessibleIds = await getAccessibleContainerIds(req.user);
         const items = await db.collection('items').find().toArray();
-        res.json(items);
+        res.json(items.filter(i => accessibleIds.has(i.container)));
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
@@ -360,169 +1340,4383 @@ app.get('/items', authMiddleware, async (req, res) => {
 
 app.post('/items', authMiddleware, async (req, res) => {
     try {
+        if (!req.body.container) return res.status(400).json({ error: 'Укажите контейнер' });
+        if (!await checkContainerAccess(req, res, req.body.container, 'edit')) return;
+        if (req.body.quantity !== undefined && (!Number.isInteger(req.body.quantity) || req.body.quantity < 0)) {
+            return res.status(400).json({ error: 'Количество не может быть отрицательным' });
+        }
+        let batches = null;
+        if (req.body.batches !== undefined) {
+            const normalized = normalizeBatches(req.body.batches);
+            if (normalized.error) return res.status(400).json({ error: normalized.error });
+            if (normalized.batches.length > 0) batches = normalized.batches;
+        }
+        const { id, existing } = await resolveNewId('items', 'i', req.body.id);
+        if (existing) return sendCreateConflict(req, res, existing, existing.container);
+        const { photos, error } = await resolvePhotos(req.body);
+        if (error) return res.status(400).json({ error });
+        const extras = await parseExtras(req.body, 'item');
+        if (extras.error) return res.status(400).json({ error: extras.error });
         const item = {
-            id: 'i' + Date.now(),
+            id,
             name: req.body.name,
             quantity: req.body.quantity || 1,
             minQuantity: req.body.minQuantity || 0,
             category: req.body.category || null,
-            photo: req.body.photo || null,
+            ...photoFields(photos || []),
             container: req.body.container,
-            created: new Date().toISOString()
+            ...extras.values,
+            created: new Date().toISOString(),
+            rev: await nextRev()
         };
+        if (batches) Object.assign(item, { batches, quantity: batchTotal(batches) });
         await db.collection('items').insertOne(item);
+        await recordHistory(req, itemHistoryEntry('create', item, {
+            quantityDelta: item.quantity,
+            reason: 'restock'
+        }));
+        await learnProducts(item, req.user);
+        await syncShoppingLine(item);
         res.status(201).json(item);
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 });
 
-app.put('/items/:id', authMiddleware, async (req, res) => {
+app.put('/items/:id', authMiddleware, itemPermission('edit'), async (req, res) => {
     try {
         const { id } = req.params;
         const update = {};
         if (req.body.name !== undefined) update.name = req.body.name;
-        if (req.body.quantity !== undefined) update.quantity = req.body.quantity;
+        // Партии заменяются списком целиком; количество предмета с партиями — их сумма
+        if (req.body.batches !== undefined) {
+            const { batches, error } = normalizeBatches(req.body.batches);
+            if (error) return res.status(400).json({ error });
+            update.batches = batches;
+            if (batches.length > 0) update.quantity = batchTotal(batches);
+        }
+        if (req.body.quantity !== undefined && update.quantity === undefined) {
+            if (!Number.isInteger(req.body.quantity) || req.body.quantity < 0) {
+                return res.status(400).json({ error: 'Количество не может быть отрицательным' });
+            }
+            if (update.batches === undefined && hasBatches(req.item) && req.body.quantity !== req.item.quantity) {
+                return res.status(400).json({ error: 'Количество считается по партиям — измените партии' });
+            }
+            update.quantity = req.body.quantity;
+        }
+        if (update.quantity !== undefined && update.quantity < (req.item.loaned || 0)) {
+            return res.status(400).json({ error: `Выдано ${req.item.loaned} шт. — количество не может быть меньше` });
+        }
         if (req.body.minQuantity !== undefined) update.minQuantity = req.body.minQuantity;
         if (req.body.category !== undefined) update.category = req.body.category;
-        if (req.body.photo !== undefined) update.photo = req.body.photo;
-        if (req.body.container !== undefined) update.container = req.body.container;
+        if (req.body.container !== undefined && req.body.container !== req.item.container) {
+            if (!await checkContainerAccess(req, res, req.body.container, 'edit')) return;
+            update.container = req.body.container;
+        }
+        if (req.body.reason !== undefined && req.body.reason !== null && !HISTORY_REASONS.includes(req.body.reason)) {
+            return res.status(400).json({ error: 'Неизвестная причина изменения' });
+        }
+        if (hasConflict(req.item, req.body.baseRev)) return sendConflict(res, req.item);
+        const { photos, error } = await resolvePhotos(req.body);
+        if (error) return res.status(400).json({ error });
+        if (photos) Object.assign(update, photoFields(photos));
+        const extras = await parseExtras(req.body, 'item');
+        if (extras.error) return res.status(400).json({ error: extras.error });
+        Object.assign(update, extras.values);
 
-        await db.collection('items').updateOne({ id }, { $set: update });
+        update.rev = await nextRev();
+        const result = await db.collection('items').updateOne({ id, rev: req.item.rev }, { $set: update });
+        if (result.matchedCount === 0) return sendConflict(res, await db.collection('items').findOne({ id }));
         const item = await db.collection('items').findOne({ id });
+        if (update.photos) await deleteDroppedPhotos(req.item.photos, update.photos);
+        const changes = diffFields(req.item, update, ITEM_TRACKED_FIELDS);
+        if (Object.keys(changes).length > 0) {
+            const quantityDelta = changes.quantity ? (changes.quantity.to || 0) - (changes.quantity.from || 0) : 0;
+            let reason = req.body.reason || null;
+            if (!reason && changes.container) reason = 'move';
+            if (!reason && quantityDelta !== 0) reason = 'correction';
+            await recordHistory(req, itemHistoryEntry(changes.container ? 'move' : 'update', item, {
+                changes,
+                quantityDelta,
+                reason,
+                comment: req.body.comment || null,
+                containerIds: [req.item.container, item.container]
+            }));
+            if (PRODUCT_SOURCE_FIELDS.some(field => changes[field])) await learnProducts(item, req.user);
+        }
+        await syncShoppingLine(item);
+        notifyInBackground(notifyLowStock(req.item, item));
         res.json(item);
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 });
 
-app.delete('/items/:id', authMiddleware, async (req, res) => {
+app.delete('/items/:id', authMiddleware, itemPermission('edit'), async (req, res) => {
     try {
         const { id } = req.params;
-        await db.collection('items').deleteOne({ id });
-        res.json({ success: true });
+        if (hasConflict(req.item, req.query.baseRev)) return sendConflict(res, req.item);
+        // Выдача без предмета пропала бы из списков выданного и просроченного
+        if (req.item.loaned > 0) return res.status(409).json({ error: 'Предмет выдан — сначала оформите возврат' });
+        const entry = await moveToTrash(req, 'item', req.item, { items: [req.item] });
+        await recordHistory(req, itemHistoryEntry('delete', req.item, {
+            quantityDelta: -(req.item.quantity || 0),
+            comment: req.body && req.body.comment || null
+        }));
+        res.json({ success: true, trashId: entry.id });
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 });
 
-// === КАТЕГОРИИ ===
+// === ПЕРЕМЕЩЕНИЕ ===
 
-app.get('/categories', authMiddleware, async (req, res) => {
+// Можно ли класть в parentId (null — корень) по уже посчитанным ролям, как checkPlacementAccess
+function placementAllowed(user, roles, parentId, container) {
+    if (parentId) return roleAllows(roles.get(parentId), 'edit');
+    return container.ownerId === user.id || !!user.isAdmin;
+}
+
+// Проверка переноса контейнера в target (null — корень): цель существует, не лежит внутри
+// переносимого контейнера (иначе он стал бы своим предком и выпал из дерева), есть права
+// там, откуда забираем, и там, куда кладём. Возвращает { status, error } или null
+function containerMoveError(user, roles, container, target, containers) {
+    if (target && !containers.some(c => c.id === target)) {
+        return { status: 404, error: 'Целевой контейнер не найден' };
+    }
+    if (target && getSubtreeIds(container.id, containers).has(target)) {
+        return { status: 400, error: `Нельзя переместить «${container.name}» внутрь самого себя` };
+    }
+    if (!roleAllows(roles.get(container.id), 'edit')) {
+        return { status: 403, error: 'Нет доступа к контейнеру' };
+    }
+    if (!placementAllowed(user, roles, container.parent, container) || !placementAllowed(user, roles, target, container)) {
+        return { status: 403, error: `Нет прав на перенос «${container.name}»` };
+    }
+    return null;
+}
+
+// Владелец после переноса — как при создании: владелец нового родителя; в корне остаётся прежний
+function ownerAfterMove(container, target, containers) {
+    if (!target) return container.ownerId;
+    const parent = containers.find(c => c.id === target);
+    return (parent && parent.ownerId) || container.ownerId;
+}
+
+// Передать поддерево новому владельцу. Прямые доступы помощников внутри выдавал прежний
+// владелец — они снимаются, доступ теперь наследуется от нового места. Возвращает число снятых доступов
+async function rehomeSubtree(containerId, ownerId, containers, rev) {
+    const subtree = [...getSubtreeIds(containerId, containers)];
+    await db.collection('containers').updateMany(
+        { id: { $in: subtree }, ownerId: { $ne: ownerId } },
+        { $set: { ownerId, rev } }
+    );
+    const result = await db.collection('containerAccess').deleteMany({ containerId: { $in: subtree } });
+    return result.deletedCount;
+}
+
+// Перенести набор контейнеров и предметов в target. Сначала проверяется весь набор — при любой
+// ошибке ничего не переносится. Вложенное в выбранные контейнеры переезжает вместе с ними (skipped)
+async function moveObjects(req, res, { containerIds, itemIds, target, baseRevs }) {
+    if (itemIds.length > 0 && !target) return res.status(400).json({ error: 'Предметы нельзя положить в корень' });
+    const containers = await db.collection('containers').find().toArray();
+    const roles = await getContainerRoles(req.user);
+    if (target && !containers.some(c => c.id === target)) return res.status(404).json({ error: 'Целевой контейнер не найден' });
+    if (target && !roleAllows(roles.get(target), 'edit')) return res.status(403).json({ error: 'Нет доступа к целевому контейнеру' });
+
+    const selected = [...new Set(containerIds)].map(id => containers.find(c => c.id === id));
+    if (selected.some(c => !c)) return res.status(404).json({ error: 'Контейнер не найден' });
+    const items = await db.collection('items').find({ id: { $in: [...new Set(itemIds)] } }).toArray();
+    if (items.length !== new Set(itemIds).size) return res.status(404).json({ error: 'Предмет не найден' });
+
+    // Внутри выбранных контейнеров (не считая их самих)
+    const insideSelected = new Set();
+    selected.forEach(c => getSubtreeIds(c.id, containers).forEach(id => { if (id !== c.id) insideSelected.add(id); }));
+    const skipped = [];
+    const moveContainers = selected.filter(c => {
+        if (insideSelected.has(c.id)) skipped.push(c.id);
+        return !insideSelected.has(c.id) && (c.parent || null) !== target;
+    });
+    const movedWith = new Set([...insideSelected, ...selected.map(c => c.id)]);
+    const moveItems = items.filter(i => {
+        if (movedWith.has(i.container)) skipped.push(i.id);
+        return !movedWith.has(i.container) && i.container !== target;
+    });
+
+    for (const c of moveContainers) {
+        const moveError = containerMoveError(req.user, roles, c, target, containers);
+        if (moveError) return res.status(moveError.status).json({ error: moveError.error, objectId: c.id });
+        if (baseRevs && hasConflict(c, baseRevs[c.id])) return sendConflict(res, c);
+    }
+    for (const i of moveItems) {
+        if (!roleAllows(roles.get(i.container), 'edit')) {
+            return res.status(403).json({ error: `Нет доступа к предмету «${i.name}»`, objectId: i.id });
+        }
+        if (baseRevs && hasConflict(i, baseRevs[i.id])) return sendConflict(res, i);
+    }
+
+    const rev = await nextRev();
+    const moved = { containers: [], items: [] };
+    const conflicts = [];
+    const warnings = [];
+    let accessRemoved = 0;
+    const comment = req.body.comment || null;
+    for (const c of moveContainers) {
+        const ownerId = ownerAfterMove(c, target, containers);
+        const result = await db.collection('containers').updateOne({ id: c.id, rev: c.rev }, { $set: { parent: target, ownerId, rev } });
+        if (result.matchedCount === 0) {
+            conflicts.push(c.id);
+            continue;
+        }
+        if (ownerId !== c.ownerId) accessRemoved += await rehomeSubtree(c.id, ownerId, containers, rev);
+        const clash = c.number && containers.find(o => o.id !== c.id && (o.parent || null) === target && o.number === c.number);
+        if (clash) warnings.push(`Номер #${c.number} у «${c.name}» совпадает с «${clash.name}»`);
+        await recordHistory(req, containerHistoryEntry('move', { ...c, parent: target }, {
+            changes: diffFields(c, { parent: target, ownerId }, CONTAINER_TRACKED_FIELDS),
+            reason: 'move',
+            comment,
+            containerIds: [c.id, c.parent, target]
+        }));
+        moved.containers.push(c.id);
+    }
+    for (const i of moveItems) {
+        const result = await db.collection('items').updateOne({ id: i.id, rev: i.rev }, { $set: { container: target, rev } });
+        if (result.matchedCount === 0) {
+            conflicts.push(i.id);
+            continue;
+        }
+        await recordHistory(req, itemHistoryEntry('move', { ...i, container: target }, {
+            changes: { container: { from: i.container, to: target } },
+            reason: 'move',
+            comment,
+            containerIds: [i.container, target]
+        }));
+        moved.items.push(i.id);
+    }
+    res.json({ moved, skipped, conflicts, accessRemoved, warnings });
+}
+
+// POST /api/containers/:id/move — перенести контейнер со всем содержимым { parent, baseRev?, comment? }
+app.post('/containers/:id/move', authMiddleware, containerPermission('edit'), async (req, res) => {
     try {
-        const categories = await db.collection('categories').find().sort({ order: 1 }).toArray();
-        res.json(categories);
+        if (req.body.parent === undefined) return res.status(400).json({ error: 'Укажите, куда переместить' });
+        await moveObjects(req, res, {
+            containerIds: [req.params.id],
+            itemIds: [],
+            target: req.body.parent || null,
+            baseRevs: { [req.params.id]: req.body.baseRev }
+        });
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 });
 
-app.post('/categories', authMiddleware, async (req, res) => {
+// POST /api/move — перенести несколько контейнеров и предметов
+// { target, containers: [id], items: [id], baseRevs?: { id: rev }, comment? }
+app.post('/move', authMiddleware, async (req, res) => {
     try {
-        const maxOrder = await db.collection('categories').find().sort({ order: -1 }).limit(1).toArray();
-        const order = maxOrder.length > 0 ? maxOrder[0].order + 1 : 1;
+        const { containers = [], items = [], baseRevs } = req.body;
+        if (!Array.isArray(containers) || !Array.isArray(items)) return res.status(400).json({ error: 'Неверный список объектов' });
+        if (containers.length + items.length === 0) return res.status(400).json({ error: 'Выберите, что переместить' });
+        if (req.body.target === undefined) return res.status(400).json({ error: 'Укажите, куда переместить' });
+        await moveObjects(req, res, { containerIds: containers, itemIds: items, target: req.body.target || null, baseRevs });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
 
-        const category = {
-            id: 'cat' + Date.now(),
-            name: req.body.name,
-            icon: req.body.icon || '📁',
-            order: order
-        };
-        await db.collection('categories').insertOne(category);
-        res.status(201).json(category);
+// === СПИСАНИЕ И ПОПОЛНЕНИЕ ===
+
+function isBelowMin(item) {
+    return item.minQuantity > 0 && item.quantity < item.minQuantity;
+}
+
+// Атомарное изменение количества. При списании $inc выполняется только если
+// на складе достаточно — одновременные списания не теряются и не уходят в минус.
+// Возвращает предмет после изменения или null, если столько списать нельзя
+async function applyQuantityDelta(item, delta, { expiresAt = null, batchId = null } = {}) {
+    if (hasBatches(item) || expiresAt || batchId) {
+        const result = await changeBatchQuantity(item.id, delta, { expiresAt, batchId });
+        return result.item || null;
+    }
+    const filter = { id: item.id };
+    // Выданное на руки списать нельзя — только то, что на месте
+    if (delta < 0) filter.$expr = { $gte: [{ $subtract: ['$quantity', { $ifNull: ['$loaned', 0] }] }, -delta] };
+    const result = await db.collection('items').findOneAndUpdate(
+        filter,
+        { $inc: { quantity: delta }, $set: { rev: await nextRev() } },
+        { returnDocument: 'after', includeResultMetadata: true }
+    );
+    return result.value;
+}
+
+async function changeQuantity(req, res, direction) {
+    const amount = Number(req.body.amount);
+    if (!Number.isInteger(amount) || amount <= 0) {
+        return res.status(400).json({ error: 'Количество должно быть целым положительным числом' });
+    }
+    const reason = req.body.reason || direction;
+    if (!HISTORY_REASONS.includes(reason)) return res.status(400).json({ error: 'Неизвестная причина изменения' });
+
+    const expiresAt = direction === 'restock' ? parseDay(req.body.expiresAt) : null;
+    if (expiresAt === undefined) return res.status(400).json({ error: 'Неверный срок годности' });
+    const batchId = direction === 'writeoff' && req.body.batchId ? String(req.body.batchId) : null;
+
+    const delta = direction === 'writeoff' ? -amount : amount;
+    const item = await applyQuantityDelta(req.item, delta, { expiresAt, batchId });
+    if (!item) {
+        const current = await db.collection('items').findOne({ id: req.item.id });
+        if (!current) return res.status(404).json({ error: 'Предмет не найден' });
+        let error = 'Нельзя списать больше, чем есть';
+        if (current.loaned && current.quantity - current.loaned < amount) error = `Нельзя списать больше, чем на месте (${current.loaned} шт. выдано)`;
+        else if (batchId) error = 'В этой партии столько нет';
+        return res.status(409).json({ error, quantity: current.quantity });
+    }
+
+    await recordHistory(req, itemHistoryEntry(direction, item, {
+        changes: { quantity: { from: item.quantity - delta, to: item.quantity } },
+        quantityDelta: delta,
+        reason,
+        comment: req.body.comment || null,
+        ...(expiresAt ? { expiresAt } : {})
+    }));
+    await syncShoppingLine(item);
+    notifyInBackground(notifyLowStock({ ...item, quantity: item.quantity - delta }, item));
+    const { _id, ...dto } = item;
+    res.json({ item: dto, quantity: item.quantity, belowMin: isBelowMin(item) });
+}
+
+// POST /api/items/:id/writeoff — списать { amount, reason?, comment?, batchId? }
+app.post('/items/:id/writeoff', authMiddleware, itemPermission('edit'), async (req, res) => {
+    try {
+        await changeQuantity(req, res, 'writeoff');
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 });
 
-app.put('/categories/:id', authMiddleware, async (req, res) => {
+// POST /api/items/:id/restock — пополнить { amount, reason?, comment?, expiresAt? }
+app.post('/items/:id/restock', authMiddleware, itemPermission('edit'), async (req, res) => {
     try {
-        const { id } = req.params;
-        const update = {};
-        if (req.body.name !== undefined) update.name = req.body.name;
-        if (req.body.icon !== undefined) update.icon = req.body.icon;
-        await db.collection('categories').updateOne({ id }, { $set: update });
-        const cat = await db.collection('categories').findOne({ id });
-        res.json(cat);
+        await changeQuantity(req, res, 'restock');
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 });
 
-app.delete('/categories/:id', authMiddleware, async (req, res) => {
+// === ПАРТИИ И СРОКИ ГОДНОСТИ ===
+
+// Предмет может состоять из партий { id, quantity, expiresAt: 'ГГГГ-ММ-ДД' | null, addedAt } — тогда
+// quantity равно их сумме. Списание идёт с партии, которая испортится раньше; партии без срока — последними
+const EXPIRY_SOON_DAYS = 30;           // «скоро истекает» по умолчанию
+const MAX_BATCHES = 100;
+
+function newBatchId() {
+    return 'b' + Date.now() + crypto.randomBytes(3).toString('hex');
+}
+
+// 'ГГГГ-ММ-ДД' или null (без даты); undefined — дата не разобрана
+function parseDay(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(value));
+    if (!match) return undefined;
+    const date = new Date(Date.UTC(+match[1], +match[2] - 1, +match[3]));
+    return date.getUTCDate() === +match[3] ? date.toISOString().slice(0, 10) : undefined;
+}
+
+function compareBatches(a, b) {
+    if (a.expiresAt !== b.expiresAt) {
+        if (!a.expiresAt) return 1;
+        if (!b.expiresAt) return -1;
+        return a.expiresAt < b.expiresAt ? -1 : 1;
+    }
+    return String(a.addedAt).localeCompare(String(b.addedAt));
+}
+
+function hasBatches(item) {
+    return Array.isArray(item.batches) && item.batches.length > 0;
+}
+
+function batchTotal(batches) {
+    return batches.reduce((sum, b) => sum + b.quantity, 0);
+}
+
+// Партии из запроса или импорта: проверка, пустые отбрасываются, порядок — по сроку
+function normalizeBatches(list) {
+    if (!Array.isArray(list)) return { error: 'Партии должны быть списком' };
+    if (list.length > MAX_BATCHES) return { error: `Не больше ${MAX_BATCHES} партий` };
+    const batches = [];
+    for (const b of list) {
+        const quantity = Number(b && b.quantity);
+        if (!Number.isInteger(quantity) || quantity < 0) {
+            return { error: 'Количество в партии должно быть целым неотрицательным числом' };
+        }
+        const expiresAt = parseDay(b.expiresAt);
+        if (expiresAt === undefined) return { error: 'Неверный срок годности' };
+        if (quantity === 0) continue;
+        batches.push({
+            id: typeof b.id === 'string' && b.id ? b.id : newBatchId(),
+            quantity,
+            expiresAt,
+            addedAt: typeof b.addedAt === 'string' ? b.addedAt : new Date().toISOString()
+        });
+    }
+    return { batches: batches.sort(compareBatches) };
+}
+
+// Копия партий предмета; у предмета без партий всё количество — одна партия без срока
+function batchesOf(item) {
+    if (hasBatches(item)) return item.batches.map(b => ({ ...b }));
+    if (!(item.quantity > 0)) return [];
+    return [{ id: newBatchId(), quantity: item.quantity, expiresAt: null, addedAt: item.created || new Date().toISOString() }];
+}
+
+// Забрать amount: из партии batchId или начиная с ближайшего срока. null — столько нет
+function takeFromBatches(batches, amount, batchId) {
+    const order = batchId ? batches.filter(b => b.id === batchId) : batches.slice().sort(compareBatches);
+    let left = amount;
+    for (const b of order) {
+        const take = Math.min(b.quantity, left);
+        b.quantity -= take;
+        left -= take;
+        if (left === 0) break;
+    }
+    return left > 0 ? null : batches.filter(b => b.quantity > 0);
+}
+
+// Добавить amount в партию с тем же сроком или новой партией
+function putIntoBatches(batches, amount, expiresAt) {
+    const same = batches.find(b => b.expiresAt === expiresAt);
+    if (same) same.quantity += amount;
+    else batches.push({ id: newBatchId(), quantity: amount, expiresAt, addedAt: new Date().toISOString() });
+    return batches.sort(compareBatches);
+}
+
+// 'expired' — срок прошёл (в день срока ещё годно), 'soon' — истекает в ближайшие days дней
+function expiryStatus(expiresAt, days = EXPIRY_SOON_DAYS, now = new Date()) {
+    if (!expiresAt) return null;
+    if (expiresAt < now.toISOString().slice(0, 10)) return 'expired';
+    return expiresAt <= new Date(now.getTime() + days * 86400000).toISOString().slice(0, 10) ? 'soon' : null;
+}
+
+// Истёкшие и истекающие партии по всем предметам, ближайшие сроки первыми
+function expiringBatches(items, days = EXPIRY_SOON_DAYS, now = new Date()) {
+    const list = [];
+    items.forEach(item => (item.batches || []).forEach(batch => {
+        const status = expiryStatus(batch.expiresAt, days, now);
+        if (status) list.push({ item, batch, status });
+    }));
+    return list.sort((a, b) => compareBatches(a.batch, b.batch));
+}
+
+// Изменение количества предмета с партиями. Новые партии считаются здесь, поэтому запись — с проверкой rev:
+// если предмет успели изменить, перечитываем и считаем заново. { item } — готово, { current } — не хватает
+async function changeBatchQuantity(itemId, delta, { expiresAt = null, batchId = null } = {}) {
+    for (let attempt = 0; attempt < 5; attempt++) {
+        const current = await db.collection('items').findOne({ id: itemId });
+        if (!current) return { current: null };
+        let batches = batchesOf(current);
+        if (delta < 0) {
+            // Выданное на руки списать нельзя — только то, что на месте
+            if (current.quantity - (current.loaned || 0) < -delta) return { current };
+            batches = takeFromBatches(batches, -delta, batchId);
+            if (!batches) return { current };
+        } else {
+            batches = putIntoBatches(batches, delta, expiresAt);
+        }
+        const result = await db.collection('items').findOneAndUpdate(
+            { id: itemId, rev: current.rev },
+            { $set: { batches, quantity: batchTotal(batches), rev: await nextRev() } },
+            { returnDocument: 'after', includeResultMetadata: true }
+        );
+        if (result.value) return { item: result.value };
+    }
+    throw new Error('Предмет одновременно меняют, попробуйте ещё раз');
+}
+
+// GET /api/expiring — истёкшие и истекающие партии (?days=, по умолчанию 30)
+app.get('/expiring', authMiddleware, async (req, res) => {
     try {
-        const { id } = req.params;
+        const days = req.query.days === undefined ? EXPIRY_SOON_DAYS : Number(req.query.days);
+        if (!Number.isInteger(days) || days < 0 || days > 3650) return res.status(400).json({ error: 'Неверное число дней' });
+        const roles = await getContainerRoles(req.user);
+        const items = (await db.collection('items').find({ 'batches.expiresAt': { $ne: null } }).toArray())
+            .filter(i => roles.has(i.container));
+        const containers = await db.collection('containers').find().toArray();
+        const byId = new Map(containers.filter(c => roles.has(c.id)).map(c => [c.id, c]));
+        res.json(expiringBatches(items, days).map(({ item, batch, status }) => ({
+            item: {
+                id: item.id,
+                name: item.name,
+                category: item.category || null,
+                container: item.container,
+                path: pathText(containerPath(item.container, byId))
+            },
+            batch,
+            status
+        })));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
 
-        // Убрать категорию у всех предметов
-        await db.collection('items').updateMany({ category: id }, { $set: { category: null } });
+// === ВЫДАЧА (КТО ЧТО ВЗЯЛ) ===
 
-        await db.collection('categories').deleteOne({ id });
-        res.json({ success: true });
+// Выданное остаётся в количестве предмета и в его контейнере; item.loaned — сколько сейчас на руках.
+// Подробности — в коллекции loans, по записи на каждую выдачу: quantity — выдано, returned — уже вернули
+const LOAN_STATUSES = ['open', 'overdue', 'returned', 'all'];
+
+function isOverdue(loan, now = new Date()) {
+    return !loan.returnedAt && !!loan.dueDate && new Date(loan.dueDate) < now;
+}
+
+function toLoanDto(loan, item, byId) {
+    const { _id, ...dto } = loan;
+    return {
+        ...dto,
+        outstanding: loan.quantity - loan.returned,
+        overdue: isOverdue(loan),
+        item: item ? { id: item.id, name: item.name, container: item.container, path: pathText(containerPath(item.container, byId)) } : null
+    };
+}
+
+// Видимые пользователю контейнеры по id — для пути предмета в выдаче
+async function loanContainersById(user, roles = null) {
+    if (!roles) roles = await getContainerRoles(user);
+    const containers = await db.collection('containers').find().toArray();
+    return new Map(containers.filter(c => roles.has(c.id)).map(c => [c.id, c]));
+}
+
+// Выдачи, видимые пользователю: по доступу к контейнеру предмета, а выданное ему самому — всегда.
+// Выдачи предметов из корзины не показываются (вернутся вместе с предметом)
+async function visibleLoans(user, filter) {
+    const roles = await getContainerRoles(user);
+    const loans = await db.collection('loans').find(filter).sort({ createdAt: -1 }).toArray();
+    const items = await db.collection('items').find({ id: { $in: [...new Set(loans.map(l => l.itemId))] } }).toArray();
+    const itemById = new Map(items.map(i => [i.id, i]));
+    const byId = await loanContainersById(user, roles);
+    return loans
+        .filter(l => {
+            const item = itemById.get(l.itemId);
+            return item && (roles.has(item.container) || l.borrower.userId === user.id);
+        })
+        .map(l => toLoanDto(l, itemById.get(l.itemId), byId));
+}
+
+// Кому: пользователь системы (userId) или просто имя (name)
+async function resolveBorrower(body) {
+    if (body.userId) {
+        const user = await db.collection('users').findOne({ id: body.userId, isActive: true });
+        if (!user) return { error: 'Пользователь не найден' };
+        return { borrower: { userId: user.id, name: user.name } };
+    }
+    const name = typeof body.name === 'string' ? body.name.trim().slice(0, 100) : '';
+    if (!name) return { error: 'Укажите, кому выдаёте' };
+    return { borrower: { userId: null, name } };
+}
+
+// null — без срока; undefined — дата не разобрана
+function parseDueDate(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? undefined : date;
+}
+
+function samePerson(loan, query) {
+    if (query.userId) return loan.borrower.userId === query.userId;
+    return !loan.borrower.userId && normalizeSearchText(loan.borrower.name) === normalizeSearchText(query.name);
+}
+
+// Права на выдачу определяются предметом
+async function loadLoanForEdit(req, res) {
+    const loan = await db.collection('loans').findOne({ id: req.params.id });
+    if (!loan) {
+        res.status(404).json({ error: 'Выдача не найдена' });
+        return null;
+    }
+    const item = await db.collection('items').findOne({ id: loan.itemId });
+    if (!item) {
+        res.status(404).json({ error: 'Предмет не найден' });
+        return null;
+    }
+    if (!roleAllows(await getContainerRole(req.user, item.container), 'edit')) {
+        res.status(403).json({ error: 'Нет доступа к предмету' });
+        return null;
+    }
+    return { loan, item };
+}
+
+// POST /api/items/:id/loans — выдать { quantity = 1, userId | name, dueDate?, note? }
+app.post('/items/:id/loans', authMiddleware, itemPermission('edit'), async (req, res) => {
+    try {
+        const quantity = req.body.quantity === undefined ? 1 : Number(req.body.quantity);
+        if (!Number.isInteger(quantity) || quantity <= 0) {
+            return res.status(400).json({ error: 'Количество должно быть целым положительным числом' });
+        }
+        const { borrower, error } = await resolveBorrower(req.body);
+        if (error) return res.status(400).json({ error });
+        const dueDate = parseDueDate(req.body.dueDate);
+        if (dueDate === undefined) return res.status(400).json({ error: 'Неверная дата возврата' });
+
+        // Атомарно: выдать можно только то, что сейчас на месте
+        const result = await db.collection('items').findOneAndUpdate(
+            { id: req.item.id, $expr: { $gte: ['$quantity', { $add: [{ $ifNull: ['$loaned', 0] }, quantity] }] } },
+            { $inc: { loaned: quantity }, $set: { rev: await nextRev() } },
+            { returnDocument: 'after', includeResultMetadata: true }
+        );
+        const item = result.value;
+        if (!item) {
+            const current = await db.collection('items').findOne({ id: req.item.id });
+            if (!current) return res.status(404).json({ error: 'Предмет не найден' });
+            return res.status(409).json({ error: 'Столько нет на месте', available: current.quantity - (current.loaned || 0) });
+        }
+
+        const loan = {
+            id: 'l' + Date.now() + crypto.randomBytes(3).toString('hex'),
+            itemId: item.id,
+            itemName: item.name,
+            quantity,
+            returned: 0,
+            borrower,
+            dueDate,
+            note: typeof req.body.note === 'string' && req.body.note.trim() ? req.body.note.trim() : null,
+            createdAt: new Date(),
+            createdBy: req.user.id,
+            createdByName: req.user.name,
+            returns: [],
+            returnedAt: null
+        };
+        await db.collection('loans').insertOne(loan);
+        await recordHistory(req, itemHistoryEntry('lend', item, {
+            changes: { loaned: { from: item.loaned - quantity, to: item.loaned } },
+            comment: `${borrower.name}, ${quantity} шт.` + (loan.note ? ` — ${loan.note}` : '')
+        }));
+        const { _id, ...dto } = item;
+        res.status(201).json({ loan: toLoanDto(loan, item, await loanContainersById(req.user)), item: dto });
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 });
 
-// === ДОСТУП К КОНТЕЙНЕРАМ ===
+// GET /api/items/:id/loans — выдачи предмета (текущие и прошлые)
+app.get('/items/:id/loans', authMiddleware, itemPermission('read'), async (req, res) => {
+    try {
+        res.json(await visibleLoans(req.user, { itemId: req.item.id }));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
 
-// POST /api/container-access — дать доступ
-app.post('/container-access', authMiddleware, async (req, res) => {
+// GET /api/loans — выдачи: status (open | overdue | returned | all, по умолчанию open), userId или name — у кого
+app.get('/loans', authMiddleware, async (req, res) => {
     try {
-        const { containerId, userId } = req.body;
-        if (!containerId || !userId) return res.status(400).json({ error: 'containerId и userId обязательны' });
-        const container = await db.collection('containers').findOne({ id: containerId });
-        if (!container) return res.status(404).json({ error: 'Контейнер не найден' });
-        if (container.ownerId !== req.user.id && !req.user.isAdmin) {
-            return res.status(403).json({ error: 'Только владелец может управлять доступом' });
+        const status = req.query.status || 'open';
+        if (!LOAN_STATUSES.includes(status)) return res.status(400).json({ error: 'Неизвестный статус' });
+        const filter = {};
+        if (status === 'open' || status === 'overdue') filter.returnedAt = null;
+        if (status === 'overdue') filter.dueDate = { $lt: new Date() };
+        if (status === 'returned') filter.returnedAt = { $ne: null };
+        if (req.query.userId) filter['borrower.userId'] = req.query.userId;
+        let loans = await visibleLoans(req.user, filter);
+        if (req.query.name && !req.query.userId) loans = loans.filter(l => samePerson(l, { name: req.query.name }));
+        res.json(loans);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// GET /api/loans/people — у кого что на руках, плюс все пользователи (для выбора, кому выдать)
+app.get('/loans/people', authMiddleware, async (req, res) => {
+    try {
+        const people = new Map();
+        const users = await db.collection('users').find({ isActive: true }).sort({ name: 1 }).toArray();
+        users.forEach(u => people.set('u:' + u.id, { userId: u.id, name: u.name, items: 0, quantity: 0, overdue: 0 }));
+        (await visibleLoans(req.user, { returnedAt: null })).forEach(loan => {
+            const key = loan.borrower.userId ? 'u:' + loan.borrower.userId : 'n:' + normalizeSearchText(loan.borrower.name);
+            if (!people.has(key)) people.set(key, { userId: loan.borrower.userId, name: loan.borrower.name, items: 0, quantity: 0, overdue: 0 });
+            const person = people.get(key);
+            person.items++;
+            person.quantity += loan.outstanding;
+            if (loan.overdue) person.overdue++;
+        });
+        res.json([...people.values()].sort((a, b) => b.quantity - a.quantity || a.name.localeCompare(b.name, 'ru')));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// PUT /api/loans/:id — продлить или поправить { dueDate?, note? }
+app.put('/loans/:id', authMiddleware, async (req, res) => {
+    try {
+        const found = await loadLoanForEdit(req, res);
+        if (!found) return;
+        const update = {};
+        if (req.body.dueDate !== undefined) {
+            update.dueDate = parseDueDate(req.body.dueDate);
+            if (update.dueDate === undefined) return res.status(400).json({ error: 'Неверная дата возврата' });
+            // Новый срок — новое напоминание о просрочке
+            update.overdueNotifiedAt = null;
         }
-        // Проверить, нет ли уже доступа
-        const existing = await db.collection('containerAccess').findOne({ containerId, userId });
-        if (existing) return res.status(400).json({ error: 'Доступ уже есть' });
-        await db.collection('containerAccess').insertOne({ containerId, userId });
-        res.status(201).json({ success: true });
+        if (req.body.note !== undefined) update.note = typeof req.body.note === 'string' && req.body.note.trim() ? req.body.note.trim() : null;
+        await db.collection('loans').updateOne({ id: found.loan.id }, { $set: update });
+        res.json(toLoanDto({ ...found.loan, ...update }, found.item, await loanContainersById(req.user)));
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 });
 
-// DELETE /api/container-access — забрать доступ
-app.delete('/container-access', authMiddleware, async (req, res) => {
+// POST /api/loans/:id/return — вернуть { quantity? (по умолчанию всё), comment? }
+app.post('/loans/:id/return', authMiddleware, async (req, res) => {
     try {
-        const { containerId, userId } = req.body;
-        if (!containerId || !userId) return res.status(400).json({ error: 'containerId и userId обязательны' });
-        const container = await db.collection('containers').findOne({ id: containerId });
-        if (!container) return res.status(404).json({ error: 'Контейнер не найден' });
-        if (container.ownerId !== req.user.id && !req.user.isAdmin) {
-            return res.status(403).json({ error: 'Только владелец может управлять доступом' });
+        const found = await loadLoanForEdit(req, res);
+        if (!found) return;
+        const { loan } = found;
+        if (loan.returnedAt) return res.status(400).json({ error: 'Уже возвращено' });
+        const outstanding = loan.quantity - loan.returned;
+        const quantity = req.body.quantity === undefined ? outstanding : Number(req.body.quantity);
+        if (!Number.isInteger(quantity) || quantity <= 0 || quantity > outstanding) {
+            return res.status(400).json({ error: `Вернуть можно от 1 до ${outstanding}` });
         }
-        await db.collection('containerAccess').deleteOne({ containerId, userId });
-        res.json({ success: true });
+
+        const comment = typeof req.body.comment === 'string' && req.body.comment.trim() ? req.body.comment.trim() : null;
+        const now = new Date();
+        // Условие по returned: два одновременных возврата не вернут больше, чем выдано
+        const result = await db.collection('loans').updateOne(
+            { id: loan.id, returned: loan.returned },
+            {
+                $inc: { returned: quantity },
+                $push: { returns: { at: now, quantity, by: req.user.id, byName: req.user.name, comment } },
+                $set: { returnedAt: quantity === outstanding ? now : null }
+            }
+        );
+        if (result.matchedCount === 0) return res.status(409).json({ error: 'Выдачу только что изменили, обновите данные' });
+        const itemResult = await db.collection('items').findOneAndUpdate(
+            { id: loan.itemId },
+            { $inc: { loaned: -quantity }, $set: { rev: await nextRev() } },
+            { returnDocument: 'after', includeResultMetadata: true }
+        );
+        const item = itemResult.value;
+        await recordHistory(req, itemHistoryEntry('return', item, {
+            changes: { loaned: { from: item.loaned + quantity, to: item.loaned } },
+            comment: `${loan.borrower.name}, ${quantity} шт.` + (comment ? ` — ${comment}` : '')
+        }));
+        const updated = await db.collection('loans').findOne({ id: loan.id });
+        const { _id, ...dto } = item;
+        res.json({ loan: toLoanDto(updated, item, await loanContainersById(req.user)), item: dto });
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 });
 
-// GET /api/container-access/:containerId — получить список помощников
-app.get('/container-access/:containerId', authMiddleware, async (req, res) => {
+// === ШТРИХКОДЫ И КАТАЛОГ ТОВАРОВ ===
+
+// У предмета может быть несколько штрихкодов (EAN-8, EAN-13, UPC-A, GTIN-14). Хранятся нормализованными:
+// UPC-A дополняется нулём до EAN-13, GTIN-14 с ведущим нулём сокращается — один товар, один код.
+// Один код может быть у нескольких предметов: то же молоко лежит и в кладовке, и на даче
+const MAX_BARCODES = 10;
+const PRODUCTS_LIMIT = 200;
+
+// Код из строки: null — пусто, undefined — не штрихкод (длина или контрольная цифра)
+function normalizeBarcode(value) {
+    if (value === undefined || value === null) return null;
+    let code = String(value).replace(/[\s-]/g, '');
+    if (!code) return null;
+    if (!/^(\d{8}|\d{12,14})$/.test(code)) return undefined;
+    const digits = code.split('').map(Number);
+    const check = digits.pop();
+    const sum = digits.reverse().reduce((acc, d, i) => acc + d * (i % 2 === 0 ? 3 : 1), 0);
+    if ((10 - sum % 10) % 10 !== check) return undefined;
+    if (code.length === 12) code = '0' + code;
+    if (code.length === 14 && code[0] === '0') code = code.slice(1);
+    return code;
+}
+
+function normalizeBarcodes(list) {
+    if (!Array.isArray(list)) return { error: 'Штрихкоды должны быть списком' };
+    const barcodes = [];
+    for (const raw of list) {
+        const code = normalizeBarcode(raw);
+        if (code === undefined) return { error: `Неверный штрихкод: ${raw}` };
+        if (code && !barcodes.includes(code)) barcodes.push(code);
+    }
+    if (barcodes.length > MAX_BARCODES) return { error: `Не больше ${MAX_BARCODES} штрихкодов` };
+    return { barcodes };
+}
+
+// Каталог учится на предметах: название, категория, теги и фото последнего сохранённого
+// предмета с этим кодом. Фото каталога — тот же файл, что у предмета (см. deletePhotoFiles)
+const PRODUCT_SOURCE_FIELDS = ['name', 'category', 'tags', 'photos', 'barcodes'];
+
+async function learnProducts(item, user) {
+    for (const barcode of item.barcodes || []) {
+        const update = {
+            name: item.name,
+            category: item.category || null,
+            tags: item.tags || [],
+            updatedAt: new Date(),
+            updatedBy: { id: user.id, name: user.name }
+        };
+        if (item.photos && item.photos.length > 0) update.photo = item.photos[0];
+        await db.collection('products').updateOne({ barcode }, { $set: update, $setOnInsert: { createdAt: new Date() } }, { upsert: true });
+    }
+}
+
+// Middleware: каталог общий для всех и подставляется каждому в «Добавить предмет» — менять его
+// может тот, кто сам может добавлять предметы: админ или редактор хоть одного контейнера
+const catalogEditor = editorSomewhere('Нет прав на каталог товаров');
+
+function toProductDto(product) {
+    const { _id, ...dto } = product;
+    return { photo: null, ...dto };
+}
+
+// GET /api/barcodes/:code — что это: видимые предметы с этим кодом (где лежат) и запись каталога
+app.get('/barcodes/:code', authMiddleware, async (req, res) => {
     try {
-        const records = await db.collection('containerAccess').find({ containerId: req.params.containerId }).toArray();
-        res.json(records);
+        const barcode = normalizeBarcode(req.params.code);
+        if (!barcode) return res.status(400).json({ error: 'Неверный штрихкод' });
+        const roles = await getContainerRoles(req.user);
+        const byId = new Map((await db.collection('containers').find().toArray()).filter(c => roles.has(c.id)).map(c => [c.id, c]));
+        const items = (await db.collection('items').find({ barcodes: barcode }).toArray())
+            .filter(i => roles.has(i.container))
+            .map(i => ({
+                id: i.id,
+                name: i.name,
+                quantity: i.quantity,
+                loaned: i.loaned || 0,
+                minQuantity: i.minQuantity || 0,
+                container: i.container,
+                path: pathText(containerPath(i.container, byId)),
+                canEdit: roleAllows(roles.get(i.container), 'edit')
+            }));
+        const product = await db.collection('products').findOne({ barcode });
+        res.json({ barcode, items, product: product ? toProductDto(product) : null });
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 });
 
-// === ПОИСК ===
+// GET /api/products — каталог (?q= — по названию или коду, ?limit= до 200), недавно изменённые первыми
+app.get('/products', authMiddleware, async (req, res) => {
+    try {
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), PRODUCTS_LIMIT);
+        const tokens = tokenize(req.query.q || '');
+        const products = (await db.collection('products').find().sort({ updatedAt: -1 }).toArray())
+            .filter(p => scoreText(tokens, `${p.name} ${p.barcode}`) > 0)
+            .slice(0, limit);
+        res.json(products.map(toProductDto));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
 
-app.get('/search', authMiddleware, async (req, res) => {
+// PUT /api/products/:barcode — поправить запись каталога { name?, category?, tags?, photo? } (или завести вручную)
+app.put('/products/:barcode', authMiddleware, catalogEditor, async (req, res) => {
+    try {
+        const barcode = normalizeBarcode(req.params.barcode);
+        if (!barcode) return res.status(400).json({ error: 'Неверный штрихкод' });
+        const existing = await db.collection('products').findOne({ barcode });
+        const update = { updatedAt: new Date(), updatedBy: { id: req.user.id, name: req.user.name } };
+        if (req.body.name !== undefined || !existing) {
+            const name = typeof req.body.name === 'string' ? req.body.name.trim().slice(0, 200) : '';
+            if (!name) return res.status(400).json({ error: 'Укажите название' });
+            update.name = name;
+        }
+        if (req.body.category !== undefined) update.category = req.body.category || null;
+        if (req.body.tags !== undefined) {
+            const { tags, error } = normalizeTags(req.body.tags === null ? [] : req.body.tags);
+            if (error) return res.status(400).json({ error });
+            update.tags = tags;
+        }
+        if (req.body.photo !== undefined) {
+            const { photos, error } = await resolvePhotos({ photos: req.body.photo ? [req.body.photo] : [] });
+            if (error) return res.status(400).json({ error });
+            update.photo = photos[0] || null;
+        }
+        await db.collection('products').updateOne({ barcode }, { $set: update, $setOnInsert: { createdAt: new Date() } }, { upsert: true });
+        if (update.photo !== undefined && existing && existing.photo) {
+            await deleteDroppedPhotos([existing.photo], update.photo ? [update.photo] : []);
+        }
+        res.json(toProductDto(await db.collection('products').findOne({ barcode })));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// DELETE /api/products/:barcode — забыть товар (у предметов код остаётся)
+app.delete('/products/:barcode', authMiddleware, catalogEditor, async (req, res) => {
     try {
-        const q = req.query.q || '';
-        const regex = new RegExp(q, 'i');
+        const barcode = normalizeBarcode(req.params.barcode);
+        if (!barcode) return res.status(400).json({ error: 'Неверный штрихкод' });
+        const product = await db.collection('products').findOne({ barcode });
+        if (!product) return res.status(404).json({ error: 'Товар не найден' });
+        await db.collection('products').deleteOne({ barcode });
+        if (product.photo) await deleteDroppedPhotos([product.photo], []);
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// === СПИСОК ПОКУПОК ===
+
+// Строки списка хранятся на сервере. auto — предмет ниже минимума: строка появляется и исчезает сама,
+// количество — недостача (пока его не поменяли вручную). Ручная строка ссылается на предмет (itemId),
+// на контейнер, куда положить купленное (containerId), или ни на что — просто «купить хлеб»
+const SHOPPING_SHARE_DAYS = 30;
+const PURCHASES_LIMIT = 500;
+
+function shortageOf(item) {
+    return item.minQuantity - item.quantity;
+}
+
+function autoShoppingLine(item) {
+    return {
+        id: newImportId('sh'),
+        auto: true,
+        itemId: item.id,
+        containerId: null,
+        name: item.name,
+        quantity: shortageOf(item),
+        customQuantity: false,
+        note: null,
+        assigneeId: null,
+        dismissed: false,
+        createdBy: null,
+        createdAt: new Date()
+    };
+}
+
+async function refreshAutoShoppingLine(line, item) {
+    const update = {};
+    if (line.name !== item.name) update.name = item.name;
+    if (!line.customQuantity && line.quantity !== shortageOf(item)) update.quantity = shortageOf(item);
+    if (Object.keys(update).length > 0) await db.collection('shopping').updateOne({ id: line.id }, { $set: update });
+}
+
+// auto-строка предмета по его остатку: недостача — строка появляется или обновляется; пополнили до
+// минимума — строка (и скрытая тоже) убирается, чтобы вернуться, если предмет снова кончится.
+// Вызывается везде, где меняются количество, минимум или название предмета — не при чтении списка
+async function syncShoppingLine(item) {
+    if (!item) return;
+    if (!isBelowMin(item)) {
+        await db.collection('shopping').deleteMany({ itemId: item.id, auto: true });
+        return;
+    }
+    const lines = await db.collection('shopping').find({ itemId: item.id }).toArray();
+    const auto = lines.find(l => l.auto);
+    if (auto) await refreshAutoShoppingLine(auto, item);
+    else if (lines.length === 0) await db.collection('shopping').insertOne(autoShoppingLine(item));
+}
+
+// Все auto-строки разом — при запуске и после массовых изменений (импорт дампа, корзина)
+async function syncShoppingLines() {
+    const low = new Map((await db.collection('items').find({ minQuantity: { $gt: 0 } }).toArray())
+        .filter(isBelowMin).map(i => [i.id, i]));
+    const lines = await db.collection('shopping').find().toArray();
+    const covered = new Set();
+    for (const line of lines) {
+        if (!line.auto) {
+            if (line.itemId) covered.add(line.itemId);
+            continue;
+        }
+        const item = low.get(line.itemId);
+        if (!item) {
+            await db.collection('shopping').deleteOne({ id: line.id });
+            continue;
+        }
+        covered.add(item.id);
+        await refreshAutoShoppingLine(line, item);
+    }
+    for (const item of low.values()) {
+        if (!covered.has(item.id)) await db.collection('shopping').insertOne(autoShoppingLine(item));
+    }
+}
 
-        const containers = await db.collection('containers').find({ name: regex }).toArray();
-        const items = await db.collection('items').find({ name: regex }).toArray();
+// Строку видит тот, кто видит её предмет или контейнер; строки без привязки — все
+function shoppingLineVisible(line, roles, itemsById) {
+    if (line.itemId) {
+        const item = itemsById.get(line.itemId);
+        return item ? roles.has(item.container) : !line.auto;
+    }
+    return line.containerId ? roles.has(line.containerId) : true;
+}
+
+// Всё, что нужно для показа строк: предметы, контейнеры, имена пользователей
+async function shoppingContext(user) {
+    const roles = await getContainerRoles(user);
+    const itemsById = new Map((await db.collection('items').find().toArray()).map(i => [i.id, i]));
+    const byId = new Map((await db.collection('containers').find().toArray()).filter(c => roles.has(c.id)).map(c => [c.id, c]));
+    const users = await db.collection('users').find({ isActive: true }).sort({ name: 1 }).toArray();
+    return { roles, itemsById, byId, users, userNames: new Map(users.map(u => [u.id, u.name])) };
+}
 
-        res.json({ containers, items });
+// Контейнер строки: её предмета или тот, куда положить купленное (null — строка ни к чему не привязана)
+function shoppingLineContainer(line, ctx) {
+    const item = line.itemId ? ctx.itemsById.get(line.itemId) : null;
+    return item ? item.container : line.containerId;
+}
+
+// Менять и убирать строку может редактор её контейнера; свою ручную строку — и автор.
+// Строки без привязки — все
+function canEditShoppingLine(line, ctx, user) {
+    const containerId = shoppingLineContainer(line, ctx);
+    return !containerId || roleAllows(ctx.roles.get(containerId), 'edit') || (!line.auto && line.createdBy === user.id);
+}
+
+function toShoppingLineDto(line, ctx, user) {
+    const item = line.itemId ? ctx.itemsById.get(line.itemId) : null;
+    const containerId = shoppingLineContainer(line, ctx);
+    const person = id => id ? { id, name: ctx.userNames.get(id) || 'Удалённый пользователь' } : null;
+    return {
+        id: line.id,
+        auto: line.auto,
+        itemId: line.itemId,
+        containerId: line.containerId,
+        name: line.name,
+        quantity: line.quantity,
+        note: line.note,
+        assignee: person(line.assigneeId),
+        createdBy: person(line.createdBy),
+        createdAt: line.createdAt,
+        item: item ? { id: item.id, name: item.name, quantity: item.quantity, minQuantity: item.minQuantity, container: item.container } : null,
+        path: containerId && ctx.byId.has(containerId) ? pathText(containerPath(containerId, ctx.byId)) : null,
+        canBuy: containerId ? roleAllows(ctx.roles.get(containerId), 'edit') : true,
+        canEdit: canEditShoppingLine(line, ctx, user)
+    };
+}
+
+// Видимые пользователю строки: сначала назначенные ему, потом остальные по названию
+async function visibleShoppingLines(user, assigneeId = null) {
+    const ctx = await shoppingContext(user);
+    const lines = (await db.collection('shopping').find({ dismissed: { $ne: true } }).toArray())
+        .filter(l => shoppingLineVisible(l, ctx.roles, ctx.itemsById))
+        .filter(l => !assigneeId || l.assigneeId === assigneeId)
+        .map(l => toShoppingLineDto(l, ctx, user))
+        .sort((a, b) => Number(!!b.assignee && b.assignee.id === user.id) - Number(!!a.assignee && a.assignee.id === user.id) ||
+            a.name.localeCompare(b.name, 'ru'));
+    return { lines, ctx };
+}
+
+async function loadShoppingLine(req, res, level = 'read') {
+    const line = await db.collection('shopping').findOne({ id: req.params.id });
+    const ctx = line ? await shoppingContext(req.user) : null;
+    if (!line || line.dismissed || !shoppingLineVisible(line, ctx.roles, ctx.itemsById)) {
+        res.status(404).json({ error: 'Строка не найдена' });
+        return null;
+    }
+    if (level === 'edit' && !canEditShoppingLine(line, ctx, req.user)) {
+        res.status(403).json({ error: 'Нет доступа к контейнеру' });
+        return null;
+    }
+    return { line, ctx };
+}
+
+// Общие поля строки из тела запроса: { values } или { error }
+async function parseShoppingLine(body) {
+    const values = {};
+    if (body.quantity !== undefined) {
+        if (!Number.isInteger(body.quantity) || body.quantity <= 0) return { error: 'Количество должно быть целым положительным числом' };
+        values.quantity = body.quantity;
+    }
+    if (body.note !== undefined) values.note = typeof body.note === 'string' && body.note.trim() ? body.note.trim().slice(0, 500) : null;
+    if (body.assigneeId !== undefined) {
+        if (body.assigneeId) {
+            const user = await db.collection('users').findOne({ id: body.assigneeId, isActive: true });
+            if (!user) return { error: 'Пользователь не найден' };
+        }
+        values.assigneeId = body.assigneeId || null;
+    }
+    return { values };
+}
+
+function shoppingChanged(req, line, action) {
+    publishChange(req, { objectType: 'shopping', objectId: line.id, objectName: line.name, action, containerIds: null });
+}
+
+// GET /api/shopping — список (?assignee=me — только мои), плюс пользователи для назначения
+app.get('/shopping', authMiddleware, async (req, res) => {
+    try {
+        const assigneeId = req.query.assignee === 'me' ? req.user.id : req.query.assignee || null;
+        const { lines, ctx } = await visibleShoppingLines(req.user, assigneeId);
+        res.json({ lines, users: ctx.users.map(u => ({ id: u.id, name: u.name })) });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// POST /api/shopping — добавить { itemId | name, containerId?, quantity = 1, note?, assigneeId? }
+app.post('/shopping', authMiddleware, async (req, res) => {
+    try {
+        const { values, error } = await parseShoppingLine(req.body);
+        if (error) return res.status(400).json({ error });
+        const line = {
+            id: newImportId('sh'),
+            auto: false,
+            itemId: null,
+            containerId: null,
+            name: typeof req.body.name === 'string' ? req.body.name.trim().slice(0, 200) : '',
+            quantity: 1,
+            customQuantity: true,
+            note: null,
+            assigneeId: null,
+            dismissed: false,
+            createdBy: req.user.id,
+            createdAt: new Date(),
+            ...values
+        };
+        if (req.body.itemId) {
+            const item = await db.collection('items').findOne({ id: req.body.itemId });
+            if (!item) return res.status(404).json({ error: 'Предмет не найден' });
+            if (!await checkContainerAccess(req, res, item.container, 'read')) return;
+            // Предмет уже в списке (в том числе автоматически) — ручная строка его заменяет
+            await db.collection('shopping').deleteMany({ itemId: item.id, auto: true });
+            if (await db.collection('shopping').findOne({ itemId: item.id })) return res.status(400).json({ error: 'Предмет уже в списке' });
+            line.itemId = item.id;
+            line.name = item.name;
+        } else if (req.body.containerId) {
+            if (!await checkContainerAccess(req, res, req.body.containerId, 'read')) return;
+            line.containerId = req.body.containerId;
+        }
+        if (!line.name) return res.status(400).json({ error: 'Укажите, что купить' });
+        await db.collection('shopping').insertOne(line);
+        shoppingChanged(req, line, 'create');
+        res.status(201).json(toShoppingLineDto(line, await shoppingContext(req.user), req.user));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// PUT /api/shopping/:id — { quantity?, note?, assigneeId?, name? (только у строк без предмета) }
+app.put('/shopping/:id', authMiddleware, async (req, res) => {
+    try {
+        const found = await loadShoppingLine(req, res, 'edit');
+        if (!found) return;
+        const { values, error } = await parseShoppingLine(req.body);
+        if (error) return res.status(400).json({ error });
+        if (values.quantity !== undefined) values.customQuantity = true;
+        if (req.body.name !== undefined && !found.line.itemId) {
+            const name = typeof req.body.name === 'string' ? req.body.name.trim().slice(0, 200) : '';
+            if (!name) return res.status(400).json({ error: 'Укажите, что купить' });
+            values.name = name;
+        }
+        await db.collection('shopping').updateOne({ id: found.line.id }, { $set: values });
+        const line = { ...found.line, ...values };
+        shoppingChanged(req, line, 'update');
+        res.json(toShoppingLineDto(line, found.ctx, req.user));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// DELETE /api/shopping/:id — убрать строку. Автоматическая скрывается, пока предмет снова не пополнят
+app.delete('/shopping/:id', authMiddleware, async (req, res) => {
+    try {
+        const found = await loadShoppingLine(req, res, 'edit');
+        if (!found) return;
+        if (found.line.auto) await db.collection('shopping').updateOne({ id: found.line.id }, { $set: { dismissed: true } });
+        else await db.collection('shopping').deleteOne({ id: found.line.id });
+        shoppingChanged(req, found.line, 'delete');
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// POST /api/shopping/:id/bought — куплено { quantity? (по умолчанию сколько в строке), expiresAt?, comment? }.
+// Предмет пополняется на купленное; строка с контейнером создаёт в нём новый предмет.
+// Куплено меньше, чем нужно, — в ручной строке остаётся разница
+app.post('/shopping/:id/bought', authMiddleware, async (req, res) => {
+    try {
+        const found = await loadShoppingLine(req, res);
+        if (!found) return;
+        const { line } = found;
+        const quantity = req.body.quantity === undefined ? line.quantity : Number(req.body.quantity);
+        if (!Number.isInteger(quantity) || quantity <= 0) {
+            return res.status(400).json({ error: 'Количество должно быть целым положительным числом' });
+        }
+        const expiresAt = parseDay(req.body.expiresAt);
+        if (expiresAt === undefined) return res.status(400).json({ error: 'Неверный срок годности' });
+        const comment = typeof req.body.comment === 'string' && req.body.comment.trim() ? req.body.comment.trim() : 'Куплено по списку';
+
+        let item = null;
+        if (line.itemId) {
+            const current = await db.collection('items').findOne({ id: line.itemId });
+            if (!current) return res.status(404).json({ error: 'Предмет удалён — уберите строку из списка' });
+            if (!await checkContainerAccess(req, res, current.container, 'edit')) return;
+            item = await applyQuantityDelta(current, quantity, { expiresAt });
+            if (!item) return res.status(404).json({ error: 'Предмет не найден' });
+            await recordHistory(req, itemHistoryEntry('restock', item, {
+                changes: { quantity: { from: item.quantity - quantity, to: item.quantity } },
+                quantityDelta: quantity,
+                reason: 'restock',
+                comment,
+                ...(expiresAt ? { expiresAt } : {})
+            }));
+        } else if (line.containerId) {
+            if (!await checkContainerAccess(req, res, line.containerId, 'edit')) return;
+            item = {
+                id: newImportId('i'),
+                name: line.name,
+                quantity,
+                minQuantity: 0,
+                category: null,
+                ...photoFields([]),
+                container: line.containerId,
+                ...(expiresAt ? { batches: putIntoBatches([], quantity, expiresAt) } : {}),
+                created: new Date().toISOString(),
+                rev: await nextRev()
+            };
+            await db.collection('items').insertOne(item);
+            await recordHistory(req, itemHistoryEntry('create', item, { quantityDelta: quantity, reason: 'restock', comment }));
+        }
+
+        const purchase = {
+            id: newImportId('p'),
+            lineId: line.id,
+            name: line.name,
+            quantity,
+            itemId: item ? item.id : null,
+            containerId: item ? item.container : null,
+            note: line.note,
+            assigneeId: line.assigneeId,
+            boughtBy: { id: req.user.id, name: req.user.name },
+            boughtAt: new Date()
+        };
+        await db.collection('purchases').insertOne(purchase);
+        let remaining = null;
+        if (!line.auto && quantity < line.quantity) {
+            remaining = { ...line, quantity: line.quantity - quantity };
+            await db.collection('shopping').updateOne({ id: line.id }, { $set: { quantity: remaining.quantity } });
+        } else {
+            await db.collection('shopping').deleteOne({ id: line.id });
+        }
+        // Куплено меньше недостачи — предмет снова попадает в список сам
+        if (line.itemId) await syncShoppingLine(item);
+        shoppingChanged(req, line, 'bought');
+        const ctx = await shoppingContext(req.user);
+        const { _id, ...itemDto } = item || {};
+        const { _id: purchaseId, ...purchaseDto } = purchase;
+        res.json({ purchase: purchaseDto, item: item ? itemDto : null, line: remaining ? toShoppingLineDto(remaining, ctx, req.user) : null });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// GET /api/shopping/purchases — что и кем куплено (?itemId=, ?days=, ?limit= до 500)
+app.get('/shopping/purchases', authMiddleware, async (req, res) => {
+    try {
+        const filter = {};
+        if (req.query.itemId) filter.itemId = req.query.itemId;
+        if (req.query.days !== undefined) {
+            const days = Number(req.query.days);
+            if (!Number.isInteger(days) || days <= 0) return res.status(400).json({ error: 'Неверное число дней' });
+            filter.boughtAt = { $gte: new Date(Date.now() - days * 24 * 60 * 60 * 1000) };
+        }
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), PURCHASES_LIMIT);
+        const roles = await getContainerRoles(req.user);
+        const byId = new Map((await db.collection('containers').find().toArray()).filter(c => roles.has(c.id)).map(c => [c.id, c]));
+        const purchases = (await db.collection('purchases').find(filter).sort({ boughtAt: -1 }).toArray())
+            .filter(p => !p.containerId || roles.has(p.containerId))
+            .slice(0, limit)
+            .map(({ _id, ...p }) => ({ ...p, path: p.containerId ? pathText(containerPath(p.containerId, byId)) : null }));
+        res.json(purchases);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Ссылка на список для тех, у кого нет входа (или телефона под рукой): только чтение,
+// строки — те, что видит автор ссылки сейчас. Живёт SHOPPING_SHARE_DAYS дней, можно отозвать
+function toShoppingShareDto(share) {
+    const { _id, ...dto } = share;
+    return dto;
+}
+
+// GET /api/shopping/shares — мои ссылки
+app.get('/shopping/shares', authMiddleware, async (req, res) => {
+    try {
+        const shares = await db.collection('shoppingShares').find({ userId: req.user.id, expiresAt: { $gt: new Date() } }).sort({ createdAt: -1 }).toArray();
+        res.json(shares.map(toShoppingShareDto));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// POST /api/shopping/shares — новая ссылка { assigneeId? — только строки этого человека }
+app.post('/shopping/shares', authMiddleware, async (req, res) => {
+    try {
+        const assigneeId = req.body.assigneeId || null;
+        if (assigneeId && !await db.collection('users').findOne({ id: assigneeId, isActive: true })) {
+            return res.status(400).json({ error: 'Пользователь не найден' });
+        }
+        const share = {
+            token: generateToken(),
+            userId: req.user.id,
+            assigneeId,
+            createdAt: new Date(),
+            expiresAt: new Date(Date.now() + SHOPPING_SHARE_DAYS * 24 * 60 * 60 * 1000)
+        };
+        await db.collection('shoppingShares').insertOne(share);
+        res.status(201).json(toShoppingShareDto(share));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// DELETE /api/shopping/shares/:token — отозвать ссылку
+app.delete('/shopping/shares/:token', authMiddleware, async (req, res) => {
+    try {
+        const result = await db.collection('shoppingShares').deleteOne({ token: req.params.token, userId: req.user.id });
+        if (result.deletedCount === 0) return res.status(404).json({ error: 'Ссылка не найдена' });
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// GET /api/shopping/shared/:token — список по ссылке (без входа)
+app.get('/shopping/shared/:token', async (req, res) => {
+    try {
+        const share = await db.collection('shoppingShares').findOne({ token: req.params.token, expiresAt: { $gt: new Date() } });
+        const owner = share && await db.collection('users').findOne({ id: share.userId, isActive: true });
+        if (!owner) return res.status(404).json({ error: 'Ссылка недействительна' });
+        const { lines } = await visibleShoppingLines(owner, share.assigneeId);
+        res.json({
+            sharedBy: owner.name,
+            expiresAt: share.expiresAt,
+            lines: lines.map(l => ({ name: l.name, quantity: l.quantity, note: l.note, assignee: l.assignee ? l.assignee.name : null, path: l.path }))
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// === ЖУРНАЛ ===
+
+// GET /api/items/:id/history — история предмета
+app.get('/items/:id/history', authMiddleware, itemPermission('read'), async (req, res) => {
+    try {
+        const records = await db.collection('history')
+            .find({ objectType: 'item', objectId: req.params.id })
+            .sort({ at: -1 })
+            .toArray();
+        res.json(records.map(toHistoryDto));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// GET /api/history — лента действий (фильтры: userId, containerId с вложенными, before, limit)
+app.get('/history', authMiddleware, async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        const filter = {};
+        if (req.query.userId) filter.userId = req.query.userId;
+        if (req.query.before) {
+            const before = new Date(req.query.before);
+            if (isNaN(before.getTime())) return res.status(400).json({ error: 'Неверная дата before' });
+            filter.at = { $lt: before };
+        }
+
+        const roles = await getContainerRoles(req.user);
+        let scopeIds = null;
+        if (req.query.containerId) {
+            if (!roles.has(req.query.containerId)) return res.status(403).json({ error: 'Нет доступа к контейнеру' });
+            const allContainers = await db.collection('containers').find().toArray();
+            scopeIds = getSubtreeIds(req.query.containerId, allContainers);
+        }
+        if (scopeIds) {
+            filter.containerIds = { $in: [...scopeIds] };
+        } else if (!req.user.isAdmin) {
+            filter.containerIds = { $in: [...roles.keys()] };
+        }
+
+        const records = await db.collection('history').find(filter).sort({ at: -1 }).limit(limit).toArray();
+        res.json(records.map(toHistoryDto));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// === КАТЕГОРИИ ===
+
+// Справочник категорий общий для всего склада — меняет только админ
+
+app.get('/categories', authMiddleware, async (req, res) => {
+    try {
+        const categories = await db.collection('categories').find().sort({ order: 1 }).toArray();
+        res.json(categories);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.post('/categories', authMiddleware, adminOnly, async (req, res) => {
+    try {
+        const maxOrder = await db.collection('categories').find().sort({ order: -1 }).limit(1).toArray();
+        const order = maxOrder.length > 0 ? maxOrder[0].order + 1 : 1;
+
+        const category = {
+            id: 'cat' + Date.now(),
+            name: req.body.name,
+            icon: req.body.icon || '📁',
+            order: order,
+            rev: await nextRev()
+        };
+        await db.collection('categories').insertOne(category);
+        publishChange(req, { objectType: 'category', objectId: category.id, objectName: category.name, action: 'create', containerIds: null });
+        res.status(201).json(category);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.put('/categories/:id', authMiddleware, adminOnly, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const update = {};
+        if (req.body.name !== undefined) update.name = req.body.name;
+        if (req.body.icon !== undefined) update.icon = req.body.icon;
+        update.rev = await nextRev();
+        await db.collection('categories').updateOne({ id }, { $set: update });
+        const cat = await db.collection('categories').findOne({ id });
+        if (cat) publishChange(req, { objectType: 'category', objectId: id, objectName: cat.name, action: 'update', containerIds: null });
+        res.json(cat);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.delete('/categories/:id', authMiddleware, adminOnly, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        // Убрать категорию у всех предметов
+        await db.collection('items').updateMany({ category: id }, { $set: { category: null, rev: await nextRev() } });
+
+        await db.collection('categories').deleteOne({ id });
+        publishChange(req, { objectType: 'category', objectId: id, objectName: null, action: 'delete', containerIds: null });
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// === ДОПОЛНИТЕЛЬНЫЕ ПОЛЯ И ТЕГИ ===
+
+// Поля задаёт админ: { id, name, type, options (для select), appliesTo: item | container,
+// categories (для предметов: id категорий, пусто — у всех), order }. Значения лежат в документе
+// предмета или контейнера: fields: { <id поля>: значение }, теги — tags: [строка]
+const FIELD_TYPES = ['text', 'number', 'date', 'select'];
+const FIELD_TARGETS = ['item', 'container'];
+const MAX_FIELD_TEXT = 1000;
+const MAX_FIELD_OPTIONS = 50;
+const MAX_TAGS = 30;
+const MAX_TAG_LENGTH = 40;
+
+// Создаются при первом запуске; id постоянные — на цену опираются отчёты
+const DEFAULT_FIELDS = [
+    { id: 'f_serial', name: 'Серийный номер', type: 'text', appliesTo: 'item' },
+    { id: 'f_price', name: 'Цена покупки', type: 'number', appliesTo: 'item' },
+    { id: 'f_purchased', name: 'Дата покупки', type: 'date', appliesTo: 'item' },
+    { id: 'f_warranty', name: 'Гарантия до', type: 'date', appliesTo: 'item' },
+    { id: 'f_notes', name: 'Заметки', type: 'text', appliesTo: 'item' },
+    { id: 'f_container_notes', name: 'Заметки', type: 'text', appliesTo: 'container' },
+    { id: 'f_capacity', name: 'Вместимость, шт.', type: 'number', appliesTo: 'container' }
+];
+
+// Значение поля по его типу; undefined — не подходит
+function fieldValue(def, raw) {
+    if (def.type === 'number') {
+        const number = typeof raw === 'number' || typeof raw === 'string' ? Number(raw) : NaN;
+        return Number.isFinite(number) ? number : undefined;
+    }
+    if (def.type === 'date') return parseDay(raw) || undefined;
+    if (def.type === 'select') return def.options.includes(String(raw)) ? String(raw) : undefined;
+    return String(raw).trim().slice(0, MAX_FIELD_TEXT);
+}
+
+// Значения полей из запроса: пустые отбрасываются, неизвестные поля и неверные значения — ошибка
+function normalizeFieldValues(values, defs, target) {
+    if (values === null) return { fields: {} };
+    if (typeof values !== 'object' || Array.isArray(values)) return { error: 'Поля должны быть объектом' };
+    const byId = new Map(defs.filter(d => d.appliesTo === target).map(d => [d.id, d]));
+    const fields = {};
+    for (const [id, raw] of Object.entries(values)) {
+        const def = byId.get(id);
+        if (!def) return { error: `Неизвестное поле: ${id}` };
+        if (raw === null || raw === undefined || String(raw).trim() === '') continue;
+        const value = fieldValue(def, raw);
+        if (value === undefined) return { error: `Неверное значение поля «${def.name}»` };
+        fields[id] = value;
+    }
+    return { fields };
+}
+
+// Теги: без # в начале, повторы (без учёта регистра) убираются
+function normalizeTags(list) {
+    if (!Array.isArray(list)) return { error: 'Теги должны быть списком' };
+    const tags = [];
+    const seen = new Set();
+    for (const raw of list) {
+        const tag = String(raw).trim().replace(/^#+/, '').replace(/\s+/g, ' ').slice(0, MAX_TAG_LENGTH);
+        const key = normalizeSearchText(tag);
+        if (!tag || seen.has(key)) continue;
+        seen.add(key);
+        tags.push(tag);
+    }
+    if (tags.length > MAX_TAGS) return { error: `Не больше ${MAX_TAGS} тегов` };
+    return { tags };
+}
+
+// fields, tags и (у предметов) barcodes из тела запроса: { values } или { error }
+async function parseExtras(body, target) {
+    const values = {};
+    if (body.fields !== undefined) {
+        const defs = await db.collection('fields').find().toArray();
+        const { fields, error } = normalizeFieldValues(body.fields, defs, target);
+        if (error) return { error };
+        values.fields = fields;
+    }
+    if (body.tags !== undefined) {
+        const { tags, error } = normalizeTags(body.tags === null ? [] : body.tags);
+        if (error) return { error };
+        values.tags = tags;
+    }
+    if (body.barcodes !== undefined && target === 'item') {
+        const { barcodes, error } = normalizeBarcodes(body.barcodes === null ? [] : body.barcodes);
+        if (error) return { error };
+        values.barcodes = barcodes;
+    }
+    return { values };
+}
+
+// Описание поля из запроса админа. existing — при изменении: тип и назначение не меняются
+async function parseFieldDefinition(body, existing) {
+    const def = existing ? { ...existing } : { type: 'text', appliesTo: 'item', options: [], categories: [] };
+    if (body.name !== undefined || !existing) {
+        def.name = typeof body.name === 'string' ? body.name.trim().slice(0, 100) : '';
+        if (!def.name) return { error: 'Укажите название поля' };
+    }
+    if (!existing) {
+        if (body.type !== undefined) def.type = body.type;
+        if (body.appliesTo !== undefined) def.appliesTo = body.appliesTo;
+        if (!FIELD_TYPES.includes(def.type)) return { error: 'Неизвестный тип поля' };
+        if (!FIELD_TARGETS.includes(def.appliesTo)) return { error: 'Поле может быть у предметов или у контейнеров' };
+    } else if ((body.type !== undefined && body.type !== existing.type) || (body.appliesTo !== undefined && body.appliesTo !== existing.appliesTo)) {
+        return { error: 'Тип поля менять нельзя — создайте новое поле' };
+    }
+    if (body.options !== undefined) {
+        if (!Array.isArray(body.options)) return { error: 'Варианты должны быть списком' };
+        def.options = [...new Set(body.options.map(o => String(o).trim().slice(0, 100)).filter(Boolean))].slice(0, MAX_FIELD_OPTIONS);
+    }
+    if (def.type === 'select' && def.options.length === 0) return { error: 'Укажите варианты для списка' };
+    if (def.type !== 'select') def.options = [];
+    if (body.categories !== undefined) {
+        if (!Array.isArray(body.categories)) return { error: 'Категории должны быть списком' };
+        const known = new Set((await db.collection('categories').find().toArray()).map(c => c.id));
+        def.categories = [...new Set(body.categories)].filter(id => known.has(id));
+    }
+    if (def.appliesTo === 'container') def.categories = [];
+    return { def };
+}
+
+// Фильтр по полю в поиске: «от..до» для чисел и дат (любая граница необязательна), * — поле заполнено,
+// для списка — точное значение, для текста — подстрока
+function matchFieldFilter(def, value, filter) {
+    if (filter === '*') return value !== undefined && value !== null;
+    if (value === undefined || value === null) return false;
+    if (def.type === 'number' || def.type === 'date') {
+        const [from, to] = filter.includes('..') ? filter.split('..') : [filter, filter];
+        const parse = v => (def.type === 'number' ? Number(v) : parseDay(v));
+        if (from !== '' && !(value >= parse(from))) return false;
+        if (to !== '' && !(value <= parse(to))) return false;
+        return true;
+    }
+    if (def.type === 'select') return value === filter;
+    return normalizeSearchText(value).includes(normalizeSearchText(filter));
+}
+
+function hasAllTags(doc, tags) {
+    const own = new Set((doc.tags || []).map(normalizeSearchText));
+    return tags.every(t => own.has(t));
+}
+
+// GET /api/fields — описания полей (то же приходит в /sync)
+app.get('/fields', authMiddleware, async (req, res) => {
+    try {
+        res.json(await db.collection('fields').find().sort({ order: 1 }).toArray());
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// POST /api/fields — новое поле { name, type, appliesTo?, options?, categories? }
+app.post('/fields', authMiddleware, adminOnly, async (req, res) => {
+    try {
+        const { def, error } = await parseFieldDefinition(req.body);
+        if (error) return res.status(400).json({ error });
+        const last = await db.collection('fields').find().sort({ order: -1 }).limit(1).toArray();
+        const field = {
+            id: 'f' + Date.now() + crypto.randomBytes(2).toString('hex'),
+            ...def,
+            order: last.length > 0 ? last[0].order + 1 : 1,
+            rev: await nextRev()
+        };
+        await db.collection('fields').insertOne(field);
+        publishChange(req, { objectType: 'field', objectId: field.id, objectName: field.name, action: 'create', containerIds: null });
+        const { _id, ...dto } = field;
+        res.status(201).json(dto);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// PUT /api/fields/:id — переименовать, поменять варианты, категории или порядок
+app.put('/fields/:id', authMiddleware, adminOnly, async (req, res) => {
+    try {
+        const existing = await db.collection('fields').findOne({ id: req.params.id });
+        if (!existing) return res.status(404).json({ error: 'Поле не найдено' });
+        const { def, error } = await parseFieldDefinition(req.body, existing);
+        if (error) return res.status(400).json({ error });
+        const { _id, id, ...update } = def;
+        if (Number.isInteger(req.body.order)) update.order = req.body.order;
+        update.rev = await nextRev();
+        await db.collection('fields').updateOne({ id }, { $set: update });
+        publishChange(req, { objectType: 'field', objectId: id, objectName: update.name, action: 'update', containerIds: null });
+        res.json({ id, ...update });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// DELETE /api/fields/:id — удалить поле вместе со значениями
+app.delete('/fields/:id', authMiddleware, adminOnly, async (req, res) => {
+    try {
+        const field = await db.collection('fields').findOne({ id: req.params.id });
+        if (!field) return res.status(404).json({ error: 'Поле не найдено' });
+        const key = `fields.${field.id}`;
+        const collection = field.appliesTo === 'container' ? 'containers' : 'items';
+        await db.collection(collection).updateMany({ [key]: { $exists: true } }, { $unset: { [key]: '' }, $set: { rev: await nextRev() } });
+        await db.collection('fields').deleteOne({ id: field.id });
+        publishChange(req, { objectType: 'field', objectId: field.id, objectName: field.name, action: 'delete', containerIds: null });
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// GET /api/tags — все теги доступных предметов и контейнеров с числом использований
+app.get('/tags', authMiddleware, async (req, res) => {
+    try {
+        const roles = await getContainerRoles(req.user);
+        const counts = new Map();
+        const count = doc => (doc.tags || []).forEach(tag => {
+            const key = normalizeSearchText(tag);
+            const entry = counts.get(key) || { tag, count: 0 };
+            entry.count++;
+            counts.set(key, entry);
+        });
+        (await db.collection('containers').find({ 'tags.0': { $exists: true } }).toArray()).filter(c => roles.has(c.id)).forEach(count);
+        (await db.collection('items').find({ 'tags.0': { $exists: true } }).toArray()).filter(i => roles.has(i.container)).forEach(count);
+        res.json([...counts.values()].sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag, 'ru')));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// === ДОСТУП К КОНТЕЙНЕРАМ ===
+
+// POST /api/container-access — дать доступ (role: viewer | editor)
+app.post('/container-access', authMiddleware, async (req, res) => {
+    try {
+        const { containerId, userId } = req.body;
+        const role = req.body.role || 'editor';
+        if (!containerId || !userId) return res.status(400).json({ error: 'containerId и userId обязательны' });
+        if (!HELPER_ROLES.includes(role)) return res.status(400).json({ error: 'Неизвестная роль' });
+        const container = await db.collection('containers').findOne({ id: containerId });
+        if (!container) return res.status(404).json({ error: 'Контейнер не найден' });
+        if (!roleAllows(await getContainerRole(req.user, containerId), 'manage')) {
+            return res.status(403).json({ error: 'Только владелец может управлять доступом' });
+        }
+        // Проверить, нет ли уже доступа
+        const existing = await db.collection('containerAccess').findOne({ containerId, userId });
+        if (existing) return res.status(400).json({ error: 'Доступ уже есть' });
+        await db.collection('containerAccess').insertOne({ containerId, userId, role });
+        publishChange(req, { objectType: 'access', objectId: containerId, objectName: container.name, action: 'grant', containerIds: [containerId] });
+        notifyInBackground(notifyUsers([userId], 'accessGranted', {
+            title: `Доступ к «${container.name}»`,
+            text: `${req.user.name} открыл(а) вам доступ к «${container.name}»: ${role === 'viewer' ? 'просмотр' : 'редактирование'}`,
+            data: { containerId, role, grantedBy: req.user.id }
+        }));
+        res.status(201).json({ success: true });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// PUT /api/container-access — сменить роль помощника
+app.put('/container-access', authMiddleware, async (req, res) => {
+    try {
+        const { containerId, userId, role } = req.body;
+        if (!containerId || !userId) return res.status(400).json({ error: 'containerId и userId обязательны' });
+        if (!HELPER_ROLES.includes(role)) return res.status(400).json({ error: 'Неизвестная роль' });
+        if (!roleAllows(await getContainerRole(req.user, containerId), 'manage')) {
+            return res.status(403).json({ error: 'Только владелец может управлять доступом' });
+        }
+        const result = await db.collection('containerAccess').updateOne({ containerId, userId }, { $set: { role } });
+        if (result.matchedCount === 0) return res.status(404).json({ error: 'Доступ не найден' });
+        publishChange(req, { objectType: 'access', objectId: containerId, objectName: null, action: 'update', containerIds: [containerId] });
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// DELETE /api/container-access — забрать доступ
+app.delete('/container-access', authMiddleware, async (req, res) => {
+    try {
+        const { containerId, userId } = req.body;
+        if (!containerId || !userId) return res.status(400).json({ error: 'containerId и userId обязательны' });
+        const container = await db.collection('containers').findOne({ id: containerId });
+        if (!container) return res.status(404).json({ error: 'Контейнер не найден' });
+        if (!roleAllows(await getContainerRole(req.user, containerId), 'manage')) {
+            return res.status(403).json({ error: 'Только владелец может управлять доступом' });
+        }
+        await db.collection('containerAccess').deleteOne({ containerId, userId });
+        publishChange(req, { objectType: 'access', objectId: containerId, objectName: container.name, action: 'revoke', containerIds: [containerId] });
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// GET /api/container-access/:containerId — получить список помощников
+app.get('/container-access/:containerId', authMiddleware, async (req, res) => {
+    try {
+        const { containerId } = req.params;
+        if (!roleAllows(await getContainerRole(req.user, containerId), 'manage')) {
+            return res.status(403).json({ error: 'Только владелец может управлять доступом' });
+        }
+        const records = await db.collection('containerAccess').find({ containerId }).toArray();
+        res.json(records.map(({ _id, ...rec }) => ({ ...rec, role: rec.role || 'editor' })));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// === ОБНОВЛЕНИЯ В РЕАЛЬНОМ ВРЕМЕНИ (SSE) ===
+
+// Подключённые клиенты: { res, user, sessionId, clientId, roles }. roles — права на момент прошлой рассылки:
+// об удалённом или отобранном клиент узнаёт по старым правам, о выданном — по новым
+const liveClients = new Set();
+let pendingChanges = [];
+let liveFlushTimer = null;
+
+// Поставить изменение в рассылку: { objectType, objectId, objectName, action, containerIds }.
+// containerIds: null — видно всем (категории). Изменения копятся LIVE_BATCH_MS и уходят одним событием
+function publishChange(req, change) {
+    pendingChanges.push({
+        ...change,
+        by: { id: req.user.id, name: req.user.name },
+        origin: req.headers['x-client-id'] || null
+    });
+    if (!liveFlushTimer) liveFlushTimer = setTimeout(flushLiveChanges, LIVE_BATCH_MS);
+}
+
+function sendLiveEvent(client, event, data) {
+    client.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+async function flushLiveChanges() {
+    liveFlushTimer = null;
+    const changes = pendingChanges;
+    pendingChanges = [];
+    if (liveClients.size === 0) return;
+    try {
+        const rev = await currentRev();
+        for (const client of liveClients) {
+            const roles = await getContainerRoles(client.user);
+            const visible = changes.filter(ch =>
+                // Своё изменение вкладка уже применила сама
+                !(client.clientId && ch.origin === client.clientId) &&
+                (!ch.containerIds || ch.containerIds.some(id => roles.has(id) || client.roles.has(id))));
+            client.roles = roles;
+            if (visible.length === 0) continue;
+            sendLiveEvent(client, 'change', {
+                rev,
+                total: visible.length,
+                changes: visible.slice(0, LIVE_MAX_CHANGES).map(({ containerIds, origin, ...ch }) => ch)
+            });
+        }
+    } catch (err) {
+        console.error('❌ Live update failed:', err.message);
+    }
+}
+
+// Пинг держит соединение через прокси; заодно закрываются потоки отозванных и истёкших сессий
+function scheduleLivePing() {
+    setInterval(async () => {
+        if (liveClients.size === 0) return;
+        try {
+            const sessionIds = [...liveClients].map(c => c.sessionId);
+            const alive = new Set((await db.collection('sessions')
+                .find({ id: { $in: sessionIds }, expires: { $gt: new Date() } }).toArray()).map(s => s.id));
+            for (const client of liveClients) {
+                if (alive.has(client.sessionId)) client.res.write(': ping\n\n');
+                else client.res.end();
+            }
+        } catch (err) {
+            console.error('❌ Live ping failed:', err.message);
+        }
+    }, LIVE_PING_SECONDS * 1000);
+}
+
+// EventSource не умеет передавать заголовки, а токен сессии в адресе попадает в логи прокси и историю.
+// Поэтому поток открывается по одноразовому билету: его выдаёт POST /events/ticket, живёт он LIVE_TICKET_SECONDS.
+// Билеты — в памяти: после перезапуска сервера клиент просто возьмёт новый
+const liveTickets = new Map();         // билет → { sessionId, expires }
+
+// POST /api/events/ticket — одноразовый билет для GET /events
+app.post('/events/ticket', authMiddleware, (req, res) => {
+    const now = Date.now();
+    for (const [ticket, entry] of liveTickets) {
+        if (entry.expires < now) liveTickets.delete(ticket);
+    }
+    const ticket = generateToken();
+    liveTickets.set(ticket, { sessionId: req.session.id, expires: now + LIVE_TICKET_SECONDS * 1000 });
+    res.json({ ticket, expiresIn: LIVE_TICKET_SECONDS });
+});
+
+async function ticketAuth(req, res, next) {
+    try {
+        const entry = typeof req.query.ticket === 'string' ? liveTickets.get(req.query.ticket) : null;
+        if (!entry) return res.status(401).json({ error: 'Не авторизован' });
+        liveTickets.delete(req.query.ticket);
+        if (entry.expires < Date.now()) return res.status(401).json({ error: 'Билет истёк' });
+        const session = await db.collection('sessions').findOne({ id: entry.sessionId });
+        await authenticateSession(session, req, res, next);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+}
+
+// GET /api/events?ticket= — поток изменений (Server-Sent Events). ?client= — id вкладки (как X-Client-Id в запросах)
+app.get('/events', ticketAuth, async (req, res) => {
+    try {
+        const client = {
+            res,
+            user: req.user,
+            sessionId: req.session.id,
+            clientId: typeof req.query.client === 'string' ? req.query.client : null,
+            roles: await getContainerRoles(req.user)
+        };
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.write('retry: 5000\n\n');
+        sendLiveEvent(client, 'hello', { rev: await currentRev() });
+        liveClients.add(client);
+        res.on('close', () => liveClients.delete(client));
+    } catch (err) {
+        if (res.headersSent) res.end();
+        else res.status(500).json({ error: err.message });
+    }
+});
+
+// === УВЕДОМЛЕНИЯ ===
+
+// События: предмет стал ниже минимума, просрочен возврат, истекает приглашение (админам), мне дали доступ.
+// Каждый пользователь сам выбирает для события: instant — сразу, digest — в ежедневной сводке, off — никак.
+// Каналы: почта (если задан SMTP) и исходящие вебхуки; всё, что не off, видно и в самом приложении
+const NOTIFY_EVENTS = ['lowStock', 'loanOverdue', 'inviteExpiring', 'accessGranted'];
+const NOTIFY_MODES = ['instant', 'digest', 'off'];
+const NOTIFY_CHECK_MINUTES = Number(process.env.NOTIFY_CHECK_MINUTES || 15);
+const NOTIFY_DIGEST_HOUR = Number(process.env.NOTIFY_DIGEST_HOUR || 8);
+const NOTIFY_INVITE_HOURS = 24;        // за сколько часов до конца приглашения напомнить
+const NOTIFY_KEEP_DAYS = 90;
+const MAX_WEBHOOKS = 5;
+const WEBHOOK_TIMEOUT_MS = 10000;
+const MAX_WEBHOOK_HOSTS = 50;
+
+const SMTP_HOST = process.env.SMTP_HOST || null;
+const SMTP_FROM = process.env.SMTP_FROM || 'SKLADITO <skladito@localhost>';
+let mailTransport = null;
+
+// Почта настраивается переменными SMTP_*; без SMTP_HOST канал отключён
+function getMailTransport() {
+    if (!SMTP_HOST) return null;
+    if (!mailTransport) {
+        mailTransport = nodemailer.createTransport({
+            host: SMTP_HOST,
+            port: Number(process.env.SMTP_PORT || 587),
+            secure: process.env.SMTP_SECURE === 'true',
+            auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS || '' } : undefined
+        });
+    }
+    return mailTransport;
+}
+
+function defaultNotifySettings(userId) {
+    return {
+        userId,
+        email: null,
+        webhooks: [],
+        events: Object.fromEntries(NOTIFY_EVENTS.map(e => [e, 'instant'])),
+        digestHour: NOTIFY_DIGEST_HOUR,
+        digestSentOn: null
+    };
+}
+
+async function getNotifySettings(userId) {
+    const saved = await db.collection('notificationSettings').findOne({ userId });
+    const defaults = defaultNotifySettings(userId);
+    if (!saved) return defaults;
+    const { _id, ...settings } = saved;
+    return { ...defaults, ...settings, events: { ...defaults.events, ...settings.events } };
+}
+
+// Вебхук ходит с сервера — значит, и во внутреннюю сеть (база, роутер, сам API). Поэтому адреса
+// вебхуков не-админов ограничены списком хостов, который задаёт админ (settings.webhookHosts);
+// хост из списка разрешает и свои поддомены. Админ может указать любой адрес
+async function getWebhookHosts() {
+    const stored = await db.collection('settings').findOne({ id: 'webhookHosts' });
+    return stored ? stored.value : [];
+}
+
+function webhookHostAllowed(url, hosts) {
+    const hostname = new URL(url).hostname.toLowerCase();
+    return hosts.some(host => hostname === host || hostname.endsWith('.' + host));
+}
+
+// Настройки из запроса: { settings } или { error }. hosts — разрешённые хосты вебхуков, null — любые (админ)
+function parseNotifySettings(body, current, hosts) {
+    const settings = { ...current };
+    if (body.email !== undefined) {
+        const email = typeof body.email === 'string' ? body.email.trim() : '';
+        if (email && !/^[^\s@]+@[^\s@]+$/.test(email)) return { error: 'Неверный адрес почты' };
+        settings.email = email || null;
+    }
+    if (body.events !== undefined) {
+        if (!body.events || typeof body.events !== 'object') return { error: 'События должны быть объектом' };
+        settings.events = { ...current.events };
+        for (const [event, mode] of Object.entries(body.events)) {
+            if (!NOTIFY_EVENTS.includes(event)) return { error: `Неизвестное событие: ${event}` };
+            if (!NOTIFY_MODES.includes(mode)) return { error: 'Режим: instant, digest или off' };
+            settings.events[event] = mode;
+        }
+    }
+    if (body.digestHour !== undefined) {
+        if (!Number.isInteger(body.digestHour) || body.digestHour < 0 || body.digestHour > 23) return { error: 'Час сводки — от 0 до 23' };
+        settings.digestHour = body.digestHour;
+    }
+    if (body.webhooks !== undefined) {
+        if (!Array.isArray(body.webhooks)) return { error: 'Вебхуки должны быть списком' };
+        if (body.webhooks.length > MAX_WEBHOOKS) return { error: `Не больше ${MAX_WEBHOOKS} вебхуков` };
+        const webhooks = [];
+        for (const w of body.webhooks) {
+            let url;
+            try {
+                url = new URL(String(w && w.url));
+            } catch (err) {
+                return { error: 'Неверный адрес вебхука' };
+            }
+            if (url.protocol !== 'http:' && url.protocol !== 'https:') return { error: 'Вебхук — только http или https' };
+            if (hosts && hosts.length === 0) {
+                return { error: 'Вебхуки пока недоступны: админ не разрешил ни одного хоста (список в настройках уведомлений)' };
+            }
+            if (hosts && !webhookHostAllowed(url.toString(), hosts)) {
+                return { error: `Адрес ${url.hostname} не разрешён для вебхуков — попросите админа добавить его` };
+            }
+            if (w.extra !== undefined && w.extra !== null && (typeof w.extra !== 'object' || Array.isArray(w.extra))) {
+                return { error: 'Дополнительные поля вебхука должны быть объектом' };
+            }
+            webhooks.push({
+                id: typeof w.id === 'string' && w.id ? w.id : 'w' + Date.now() + crypto.randomBytes(3).toString('hex'),
+                url: url.toString(),
+                secret: typeof w.secret === 'string' && w.secret ? w.secret : null,
+                extra: w.extra || null
+            });
+        }
+        settings.webhooks = webhooks;
+    }
+    return { settings };
+}
+
+// Вебхук: POST JSON { ...extra, event, title, text, data, at, instance }. extra — постоянные поля
+// получателя (например, chat_id для sendMessage Telegram). С секретом — подпись HMAC-SHA256 тела
+async function sendWebhook(webhook, payload) {
+    const body = JSON.stringify({ ...(webhook.extra || {}), ...payload, instance: instanceId });
+    const headers = { 'Content-Type': 'application/json', 'X-Skladito-Event': payload.event };
+    if (webhook.secret) headers['X-Skladito-Signature'] = 'sha256=' + crypto.createHmac('sha256', webhook.secret).update(body).digest('hex');
+    // Без перехода по редиректам: разрешённый хост не должен уводить запрос во внутреннюю сеть
+    const response = await fetch(webhook.url, { method: 'POST', headers, body, redirect: 'manual', signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS) });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+}
+
+// Отправить по всем каналам пользователя; ошибки канала не мешают остальным. Возвращает результаты.
+// Текст ошибки видит только админ: по нему не-админ мог бы изучать внутреннюю сеть. Остальным — общий ответ,
+// подробности — в лог сервера
+async function deliverNotification(settings, payload) {
+    const results = [];
+    const owner = await db.collection('users').findOne({ id: settings.userId });
+    const isAdmin = !!(owner && owner.isAdmin);
+    const hosts = isAdmin ? null : await getWebhookHosts();
+    const transport = getMailTransport();
+    if (settings.email && transport) {
+        try {
+            await transport.sendMail({ from: SMTP_FROM, to: settings.email, subject: `SKLADITO: ${payload.title}`, text: payload.text });
+            results.push({ channel: 'email', target: settings.email, ok: true });
+        } catch (err) {
+            results.push({ channel: 'email', target: settings.email, ok: false, error: err.message });
+        }
+    }
+    for (const webhook of settings.webhooks) {
+        // Хост могли убрать из разрешённых после сохранения настроек
+        if (hosts && !webhookHostAllowed(webhook.url, hosts)) {
+            results.push({ channel: 'webhook', target: webhook.url, ok: false, error: 'Адрес не разрешён админом' });
+            continue;
+        }
+        try {
+            await sendWebhook(webhook, payload);
+            results.push({ channel: 'webhook', target: webhook.url, ok: true });
+        } catch (err) {
+            results.push({ channel: 'webhook', target: webhook.url, ok: false, error: err.message });
+        }
+    }
+    results.filter(r => !r.ok).forEach(r => console.error(`❌ Notification to ${r.target} failed:`, r.error));
+    if (isAdmin) return results;
+    return results.map(r => (r.ok || r.error === 'Адрес не разрешён админом' ? r : { ...r, error: 'Не удалось доставить' }));
+}
+
+// Уведомить пользователей о событии: запись во входящие и, в режиме instant, отправка по каналам
+async function notifyUsers(userIds, event, { title, text, data = {} }) {
+    for (const userId of new Set(userIds.filter(Boolean))) {
+        const settings = await getNotifySettings(userId);
+        const mode = settings.events[event];
+        if (mode === 'off') continue;
+        const record = {
+            id: 'n' + Date.now() + crypto.randomBytes(3).toString('hex'),
+            userId,
+            event,
+            title,
+            text,
+            data,
+            at: new Date(),
+            read: false,
+            digest: mode === 'digest',
+            digestSentAt: null,
+            deliveries: []
+        };
+        await db.collection('notifications').insertOne(record);
+        if (mode === 'instant') {
+            const deliveries = await deliverNotification(settings, { event, title, text, data, at: record.at });
+            await db.collection('notifications').updateOne({ id: record.id }, { $set: { deliveries } });
+        }
+    }
+}
+
+// Уведомления не должны ломать основное действие: ошибки только в лог
+function notifyInBackground(promise) {
+    promise.catch(err => console.error('❌ Notification failed:', err.message));
+}
+
+// Активные пользователи, которым виден контейнер
+async function usersWithAccess(containerId) {
+    const users = await db.collection('users').find({ isActive: true }).toArray();
+    const result = [];
+    for (const user of users) {
+        if ((await getContainerRoles(user)).has(containerId)) result.push(user.id);
+    }
+    return result;
+}
+
+// Предмет только что стал ниже минимума — сообщить всем, кто видит его контейнер
+async function notifyLowStock(before, item) {
+    if (!item || isBelowMin(before) || !isBelowMin(item)) return;
+    const containers = await db.collection('containers').find().toArray();
+    const where = pathText(containerPath(item.container, new Map(containers.map(c => [c.id, c]))));
+    await notifyUsers(await usersWithAccess(item.container), 'lowStock', {
+        title: `Нужно купить: ${item.name}`,
+        text: `${item.name}: осталось ${item.quantity}, минимум ${item.minQuantity}. ${where}`,
+        data: { itemId: item.id, containerId: item.container, quantity: item.quantity, minQuantity: item.minQuantity }
+    });
+}
+
+function formatNotifyDate(date) {
+    return new Date(date).toLocaleDateString('ru-RU');
+}
+
+// Просроченные выдачи — одно напоминание на выдачу (продление срока сбрасывает отметку)
+async function checkOverdueLoans(now = new Date()) {
+    const loans = await db.collection('loans').find({ returnedAt: null, dueDate: { $lt: now }, overdueNotifiedAt: null }).toArray();
+    for (const loan of loans) {
+        await db.collection('loans').updateOne({ id: loan.id }, { $set: { overdueNotifiedAt: now } });
+        const item = await db.collection('items').findOne({ id: loan.itemId });
+        if (!item) continue;
+        const outstanding = loan.quantity - loan.returned;
+        await notifyUsers([...await usersWithAccess(item.container), loan.borrower.userId], 'loanOverdue', {
+            title: `Просрочен возврат: ${item.name}`,
+            text: `${item.name} (${outstanding} шт.) у ${loan.borrower.name}, вернуть нужно было ${formatNotifyDate(loan.dueDate)}`,
+            data: { loanId: loan.id, itemId: item.id, borrower: loan.borrower, dueDate: loan.dueDate, outstanding }
+        });
+    }
+}
+
+// Приглашения, которые скоро истекут, — напомнить админам (один раз на приглашение)
+async function checkExpiringInvites(now = new Date()) {
+    const until = new Date(now.getTime() + NOTIFY_INVITE_HOURS * 60 * 60 * 1000);
+    const users = await db.collection('users').find({ isActive: false, inviteExpires: { $gt: now, $lte: until }, inviteReminderAt: null }).toArray();
+    if (users.length === 0) return;
+    const admins = (await db.collection('users').find({ isAdmin: true, isActive: true }).toArray()).map(u => u.id);
+    for (const user of users) {
+        if (!user.inviteToken) continue;
+        await db.collection('users').updateOne({ id: user.id }, { $set: { inviteReminderAt: now } });
+        await notifyUsers(admins, 'inviteExpiring', {
+            title: `Истекает приглашение: ${user.name}`,
+            text: `Приглашение для ${user.name} действует до ${new Date(user.inviteExpires).toLocaleString('ru-RU')}. Если оно ещё нужно — выпустите новое в разделе «Пользователи»`,
+            data: { userId: user.id, inviteExpires: user.inviteExpires }
+        });
+    }
+}
+
+// Сводка за день: всё накопленное в режиме digest одним письмом/запросом
+async function sendDigest(settings, now = new Date()) {
+    const pending = await db.collection('notifications').find({ userId: settings.userId, digest: true, digestSentAt: null }).sort({ at: 1 }).toArray();
+    await db.collection('notificationSettings').updateOne({ userId: settings.userId }, { $set: { digestSentOn: localDay(now) } });
+    if (pending.length === 0) return { sent: 0, deliveries: [] };
+    const text = pending.map(n => `• ${n.title}\n  ${n.text}`).join('\n');
+    const deliveries = await deliverNotification(settings, {
+        event: 'digest',
+        title: `Сводка: ${pending.length}`,
+        text,
+        data: { items: pending.map(n => ({ event: n.event, title: n.title, text: n.text, data: n.data, at: n.at })) },
+        at: now
+    });
+    await db.collection('notifications').updateMany({ id: { $in: pending.map(n => n.id) } }, { $set: { digestSentAt: now } });
+    return { sent: pending.length, deliveries };
+}
+
+// Дата по часам сервера — сводка уходит раз в день в выбранный час
+function localDay(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+async function sendDueDigests(now = new Date()) {
+    const saved = await db.collection('notificationSettings').find().toArray();
+    for (const { userId } of saved) {
+        const settings = await getNotifySettings(userId);
+        if (settings.digestSentOn === localDay(now) || now.getHours() < settings.digestHour) continue;
+        await sendDigest(settings, now);
+    }
+}
+
+async function runNotificationChecks() {
+    try {
+        await checkOverdueLoans();
+        await checkExpiringInvites();
+        await sendDueDigests();
+        await db.collection('notifications').deleteMany({ at: { $lt: new Date(Date.now() - NOTIFY_KEEP_DAYS * 24 * 60 * 60 * 1000) } });
+    } catch (err) {
+        console.error('❌ Notification check failed:', err.message);
+    }
+}
+
+function scheduleNotifications() {
+    if (NOTIFY_CHECK_MINUTES <= 0) return;
+    runNotificationChecks();
+    setInterval(runNotificationChecks, NOTIFY_CHECK_MINUTES * 60 * 1000);
+}
+
+function toNotificationDto(record) {
+    const { _id, ...dto } = record;
+    return dto;
+}
+
+// GET /api/notifications — мои последние уведомления и число непрочитанных
+app.get('/notifications', authMiddleware, async (req, res) => {
+    try {
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+        const list = await db.collection('notifications').find({ userId: req.user.id }).sort({ at: -1 }).limit(limit).toArray();
+        const unread = await db.collection('notifications').countDocuments({ userId: req.user.id, read: false });
+        res.json({ notifications: list.map(toNotificationDto), unread });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// POST /api/notifications/read — отметить все прочитанными
+app.post('/notifications/read', authMiddleware, async (req, res) => {
+    try {
+        await db.collection('notifications').updateMany({ userId: req.user.id, read: false }, { $set: { read: true } });
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// GET /api/notifications/settings — мои подписки; emailAvailable — настроен ли SMTP на сервере
+app.get('/notifications/settings', authMiddleware, async (req, res) => {
+    try {
+        const settings = await getNotifySettings(req.user.id);
+        res.json({ ...settings, emailAvailable: !!SMTP_HOST, isAdmin: !!req.user.isAdmin, webhookHosts: await getWebhookHosts() });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// PUT /api/notifications/settings — { email?, events?: { событие: режим }, digestHour?, webhooks?: [{ url, secret?, extra? }] }
+app.put('/notifications/settings', authMiddleware, async (req, res) => {
+    try {
+        const current = await getNotifySettings(req.user.id);
+        const hosts = await getWebhookHosts();
+        const { settings, error } = parseNotifySettings(req.body, current, req.user.isAdmin ? null : hosts);
+        if (error) return res.status(400).json({ error });
+        const { userId, ...fields } = settings;
+        await db.collection('notificationSettings').updateOne({ userId: req.user.id }, { $set: { ...fields, updatedAt: new Date() } }, { upsert: true });
+        res.json({ ...settings, emailAvailable: !!SMTP_HOST, isAdmin: !!req.user.isAdmin, webhookHosts: hosts });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// POST /api/notifications/test — проверочное сообщение по всем моим каналам, ответ — результат по каждому
+app.post('/notifications/test', authMiddleware, async (req, res) => {
+    try {
+        const settings = await getNotifySettings(req.user.id);
+        const deliveries = await deliverNotification(settings, {
+            event: 'test',
+            title: 'Проверка уведомлений',
+            text: `Это проверочное сообщение для ${req.user.name}. Если вы его видите, канал работает`,
+            data: {},
+            at: new Date()
+        });
+        res.json({ deliveries });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// PUT /api/admin/webhook-hosts — хосты, на которые можно направлять вебхуки не-админам { hosts: [строка] }
+app.put('/admin/webhook-hosts', authMiddleware, adminOnly, async (req, res) => {
+    try {
+        if (!Array.isArray(req.body.hosts)) return res.status(400).json({ error: 'Хосты должны быть списком' });
+        const hosts = [...new Set(req.body.hosts.map(h => String(h).trim().toLowerCase()).filter(Boolean))];
+        if (hosts.length > MAX_WEBHOOK_HOSTS) return res.status(400).json({ error: `Не больше ${MAX_WEBHOOK_HOSTS} хостов` });
+        const invalid = hosts.find(h => !/^[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)+$/.test(h));
+        if (invalid) return res.status(400).json({ error: `Неверный хост: ${invalid}` });
+        await db.collection('settings').updateOne({ id: 'webhookHosts' }, { $set: { value: hosts } }, { upsert: true });
+        res.json({ hosts });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// POST /api/notifications/digest — отправить мою сводку сейчас, не дожидаясь часа
+app.post('/notifications/digest', authMiddleware, async (req, res) => {
+    try {
+        res.json(await sendDigest(await getNotifySettings(req.user.id)));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// === ЭТИКЕТКИ И QR ===
+
+// QR этикетки: skladito://v1/<экземпляр>/<c|i>/<id>. Экземпляр отличает этикетки разных складов,
+// версия — на случай смены формата. Старые этикетки содержат просто id контейнера
+function qrPayload(type, id) {
+    return `skladito://v${QR_PAYLOAD_VERSION}/${instanceId}/${type}/${id}`;
+}
+
+// Раскладки листов, размеры в мм
+const LABEL_LAYOUTS = {
+    'l7160': { title: 'A4, 3×7, 63,5×38,1 мм (Avery L7160)', page: [210, 297], cols: 3, rows: 7, width: 63.5, height: 38.1, left: 7.2, top: 15.15, gapX: 2.5, gapY: 0 },
+    'l7163': { title: 'A4, 2×7, 99,1×38,1 мм (Avery L7163)', page: [210, 297], cols: 2, rows: 7, width: 99.1, height: 38.1, left: 4.65, top: 15.15, gapX: 2.5, gapY: 0 },
+    'l7165': { title: 'A4, 2×4, 99,1×67,7 мм (Avery L7165)', page: [210, 297], cols: 2, rows: 4, width: 99.1, height: 67.7, left: 4.65, top: 13.1, gapX: 2.5, gapY: 0 },
+    'a4-70x37': { title: 'A4, 3×8, 70×37 мм', page: [210, 297], cols: 3, rows: 8, width: 70, height: 37, left: 0, top: 0.5, gapX: 0, gapY: 0 },
+    'thermal-58x40': { title: 'Термопринтер, 58×40 мм', page: [58, 40], cols: 1, rows: 1, width: 58, height: 40, left: 0, top: 0, gapX: 0, gapY: 0 }
+};
+const DEFAULT_LABEL_LAYOUT = 'l7160';
+
+function escapeXml(text) {
+    return String(text).replace(/[<>&"']/g, ch => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' })[ch]);
+}
+
+// Строки по ширине: примерно 0,6 кегля на символ. Не влезшее в maxLines обрезается многоточием
+function wrapText(text, fontSize, width, maxLines) {
+    const perLine = Math.max(Math.floor(width / (fontSize * 0.6)), 1);
+    const lines = [];
+    let rest = text.trim();
+    while (rest && lines.length < maxLines) {
+        if (rest.length <= perLine) {
+            lines.push(rest);
+            rest = '';
+            break;
+        }
+        let cut = rest.lastIndexOf(' ', perLine);
+        if (cut <= 0) cut = perLine;
+        lines.push(rest.slice(0, cut).trim());
+        rest = rest.slice(cut).trim();
+    }
+    if (rest) lines[lines.length - 1] = lines[lines.length - 1].slice(0, perLine - 1) + '…';
+    return lines;
+}
+
+// Путь к месту не влезает — отбрасываем верхние уровни, ближние к объекту важнее
+function shortenPath(text, fontSize, width, maxLines) {
+    const parts = text.split(' > ');
+    let result = text;
+    while (parts.length > 1 && wrapText(result, fontSize, width, Infinity).length > maxLines) {
+        parts.shift();
+        result = '… > ' + parts.join(' > ');
+    }
+    return result;
+}
+
+// QR-код как один path в единицах модулей, с полем QR_QUIET_ZONE модулей вокруг
+const QR_QUIET_ZONE = 2;
+function qrPath(text) {
+    const { size, data } = QRCode.create(text, { errorCorrectionLevel: 'M' }).modules;
+    let d = '';
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            if (data[y * size + x]) d += `M${x + QR_QUIET_ZONE} ${y + QR_QUIET_ZONE}h1v1h-1z`;
+        }
+    }
+    return { size: size + QR_QUIET_ZONE * 2, d };
+}
+
+// Этикетка: QR слева, справа номер, название и путь
+function renderLabel(label, x, y, layout) {
+    const pad = Math.min(layout.height * 0.07, 3);
+    const qrSize = layout.height - pad * 2;
+    const qr = qrPath(label.payload);
+    const textX = x + qrSize + pad * 2;
+    const textWidth = layout.width - qrSize - pad * 3;
+    const nameSize = Math.min(layout.height * 0.11, 4.2);
+    const pathSize = nameSize * 0.75;
+    let parts = [`<path d="${qr.d}" transform="translate(${x + pad} ${y + pad}) scale(${qrSize / qr.size})" fill="#000" shape-rendering="crispEdges"/>`];
+    let lineY = y + pad;
+    if (label.number) {
+        const numberSize = Math.min(layout.height * 0.3, textWidth / (label.number.length * 0.62));
+        lineY += numberSize * 0.85;
+        parts.push(`<text x="${textX}" y="${lineY}" font-size="${numberSize}" font-weight="900" letter-spacing="${numberSize * 0.05}">${escapeXml(label.number)}</text>`);
+        lineY += pad * 0.6;
+    }
+    wrapText(label.name, nameSize, textWidth, label.number ? 2 : 3).forEach(line => {
+        lineY += nameSize;
+        parts.push(`<text x="${textX}" y="${lineY}" font-size="${nameSize}" font-weight="700">${escapeXml(line)}</text>`);
+    });
+    const pathLines = Math.floor((y + layout.height - pad - lineY) / (pathSize * 1.15));
+    if (label.path && pathLines > 0) {
+        lineY += pad * 0.4;
+        wrapText(shortenPath(label.path, pathSize, textWidth, pathLines), pathSize, textWidth, pathLines).forEach(line => {
+            lineY += pathSize * 1.15;
+            parts.push(`<text x="${textX}" y="${lineY}" font-size="${pathSize}" fill="#555">${escapeXml(line)}</text>`);
+        });
+    }
+    return parts.join('');
+}
+
+// Страницы листа. skip — сколько ячеек первого листа уже использовано
+function renderLabelPages(labels, layout, skip) {
+    const perPage = layout.cols * layout.rows;
+    const cells = [...Array(skip).fill(null), ...labels];
+    const pages = [];
+    for (let start = 0; start < cells.length; start += perPage) {
+        const body = cells.slice(start, start + perPage).map((label, index) => {
+            if (!label) return '';
+            const col = index % layout.cols;
+            const row = Math.floor(index / layout.cols);
+            return renderLabel(label, layout.left + col * (layout.width + layout.gapX), layout.top + row * (layout.height + layout.gapY), layout);
+        }).join('');
+        const [w, h] = layout.page;
+        pages.push(`<svg xmlns="http://www.w3.org/2000/svg" width="${w}mm" height="${h}mm" viewBox="0 0 ${w} ${h}" font-family="Arial, Helvetica, sans-serif">${body}</svg>`);
+    }
+    return pages;
+}
+
+function splitIds(value) {
+    return typeof value === 'string' && value ? value.split(',').map(s => s.trim()).filter(Boolean) : [];
+}
+
+// Этикетки по запросу: поддерево root (с предметами при withItems=1) и/или списки containers, items.
+// Недоступное пользователю пропускается
+async function collectLabels(req) {
+    const roles = await getContainerRoles(req.user);
+    const containers = (await db.collection('containers').find().toArray()).filter(c => roles.has(c.id));
+    const byId = new Map(containers.map(c => [c.id, c]));
+    const containerIds = [];
+    const itemIds = splitIds(req.query.items);
+
+    if (req.query.root) {
+        // Обход в глубину по номерам — этикетки идут в том же порядке, что и дерево
+        const walk = id => {
+            containerIds.push(id);
+            containers.filter(c => c.parent === id)
+                .sort((a, b) => String(a.number || '').localeCompare(String(b.number || ''), 'ru', { numeric: true }))
+                .forEach(c => walk(c.id));
+        };
+        if (byId.has(req.query.root)) walk(req.query.root);
+        if (req.query.withItems === '1') {
+            const subtree = new Set(containerIds);
+            const items = await db.collection('items').find({ container: { $in: [...subtree] } }).sort({ name: 1 }).toArray();
+            items.forEach(i => itemIds.push(i.id));
+        }
+    }
+    splitIds(req.query.containers).forEach(id => containerIds.push(id));
+
+    const labels = [];
+    const seen = new Set();
+    [...new Set(containerIds)].forEach(id => {
+        const c = byId.get(id);
+        if (!c) return;
+        seen.add('c' + id);
+        labels.push({ payload: qrPayload('c', c.id), number: c.number || '', name: c.name, path: c.parent ? pathText(containerPath(c.parent, byId)) : 'Главная' });
+    });
+    const items = itemIds.length > 0 ? await db.collection('items').find({ id: { $in: itemIds } }).toArray() : [];
+    const itemById = new Map(items.map(i => [i.id, i]));
+    itemIds.forEach(id => {
+        const i = itemById.get(id);
+        if (!i || !roles.has(i.container) || seen.has('i' + id)) return;
+        seen.add('i' + id);
+        labels.push({ payload: qrPayload('i', i.id), number: '', name: i.name, path: pathText(containerPath(i.container, byId)) });
+    });
+    return labels;
+}
+
+// GET /api/labels/layouts — доступные раскладки листов
+app.get('/labels/layouts', authMiddleware, (req, res) => {
+    res.json(Object.entries(LABEL_LAYOUTS).map(([id, l]) => ({ id, title: l.title, perPage: l.cols * l.rows })));
+});
+
+// GET /api/labels — лист этикеток для печати.
+// root (поддерево), withItems=1, containers и items (id через запятую), layout, skip (занятые ячейки первого листа),
+// format: html (все листы, для печати из браузера) | svg (один лист page, число листов — в X-Total-Pages)
+app.get('/labels', authMiddleware, async (req, res) => {
+    try {
+        const layout = LABEL_LAYOUTS[req.query.layout || DEFAULT_LABEL_LAYOUT];
+        if (!layout) return res.status(400).json({ error: 'Неизвестная раскладка листа' });
+        const format = req.query.format || 'html';
+        if (!['html', 'svg'].includes(format)) return res.status(400).json({ error: 'Неизвестный формат' });
+        const perPage = layout.cols * layout.rows;
+        const skip = Math.min(Math.max(parseInt(req.query.skip) || 0, 0), perPage - 1);
+
+        const labels = await collectLabels(req);
+        if (labels.length === 0) return res.status(404).json({ error: 'Нечего печатать' });
+        const pages = renderLabelPages(labels, layout, skip);
+
+        if (format === 'svg') {
+            const page = parseInt(req.query.page) || 1;
+            if (page < 1 || page > pages.length) return res.status(404).json({ error: 'Нет такого листа' });
+            res.setHeader('X-Total-Pages', pages.length);
+            res.type('image/svg+xml').send(pages[page - 1]);
+            return;
+        }
+        const [w, h] = layout.page;
+        res.type('html').send('<!DOCTYPE html><html><head><meta charset="UTF-8"><title>Этикетки SKLADITO</title>' +
+            `<style>@page{size:${w}mm ${h}mm;margin:0}html,body{margin:0;padding:0}svg{display:block;page-break-after:always}svg:last-child{page-break-after:auto}</style>` +
+            `</head><body>${pages.join('')}</body></html>`);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// === КОРЗИНА ===
+
+// Удалённое хранится одной записью на операцию (контейнер со всем содержимым восстанавливается
+// целиком) и удаляется насовсем через TRASH_DAYS дней
+async function moveToTrash(req, type, root, { containers = [], items = [] }) {
+    const containerIds = containers.map(c => c.id);
+    const access = containerIds.length > 0
+        ? await db.collection('containerAccess').find({ containerId: { $in: containerIds } }).toArray()
+        : [];
+    const entry = {
+        id: 't' + Date.now() + crypto.randomBytes(3).toString('hex'),
+        type,
+        objectId: root.id,
+        name: root.name,
+        location: (type === 'container' ? root.parent : root.container) || null,
+        deletedAt: new Date(),
+        deletedBy: req.user.id,
+        deletedByName: req.user.name,
+        expiresAt: new Date(Date.now() + TRASH_DAYS * 24 * 60 * 60 * 1000),
+        containers: withoutMongoId(containers),
+        items: withoutMongoId(items),
+        access: withoutMongoId(access)
+    };
+    // Сначала запись в корзину, потом удаление: при сбое объект останется, а не потеряется
+    await db.collection('trash').insertOne(entry);
+    if (containerIds.length > 0) {
+        await db.collection('containers').deleteMany({ id: { $in: containerIds } });
+        await db.collection('containerAccess').deleteMany({ containerId: { $in: containerIds } });
+    }
+    if (items.length > 0) {
+        await db.collection('items').deleteMany({ id: { $in: items.map(i => i.id) } });
+        await db.collection('shopping').deleteMany({ itemId: { $in: items.map(i => i.id) }, auto: true });
+    }
+    return entry;
+}
+
+async function purgeTrashEntry(entry) {
+    await db.collection('trash').deleteOne({ id: entry.id });
+    await deletePhotoFiles([...entry.containers, ...entry.items]);
+}
+
+async function purgeExpiredTrash() {
+    const expired = await db.collection('trash').find({ expiresAt: { $lt: new Date() } }).toArray();
+    for (const entry of expired) await purgeTrashEntry(entry);
+    return expired.length;
+}
+
+function scheduleTrashPurge() {
+    const run = () => purgeExpiredTrash()
+        .then(count => { if (count > 0) console.log(`🗑️ Trash purged: ${count}`); })
+        .catch(err => console.error('❌ Trash purge failed:', err.message));
+    run();
+    setInterval(run, 60 * 60 * 1000);
+}
+
+// GET /api/trash — содержимое корзины
+app.get('/trash', authMiddleware, adminOnly, async (req, res) => {
+    try {
+        const entries = await db.collection('trash').find().sort({ deletedAt: -1 }).toArray();
+        const containers = await db.collection('containers').find().toArray();
+        const byId = new Map(containers.map(c => [c.id, c]));
+        res.json(entries.map(e => ({
+            id: e.id,
+            type: e.type,
+            objectId: e.objectId,
+            name: e.name,
+            location: e.location,
+            locationExists: !e.location || byId.has(e.location),
+            pathText: byId.has(e.location) ? pathText(containerPath(e.location, byId)) : null,
+            deletedAt: e.deletedAt,
+            deletedBy: e.deletedBy,
+            deletedByName: e.deletedByName,
+            expiresAt: e.expiresAt,
+            containers: e.containers.length,
+            items: e.items.length
+        })));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// POST /api/trash/:id/restore — вернуть на прежнее место или в { target }, если его уже нет
+app.post('/trash/:id/restore', authMiddleware, adminOnly, async (req, res) => {
+    try {
+        const entry = await db.collection('trash').findOne({ id: req.params.id });
+        if (!entry) return res.status(404).json({ error: 'Запись не найдена в корзине' });
+
+        const explicitTarget = req.body.target !== undefined;
+        const target = explicitTarget ? req.body.target || null : entry.location;
+        const parent = target ? await db.collection('containers').findOne({ id: target }) : null;
+        if (target && !parent) {
+            if (explicitTarget) return res.status(404).json({ error: 'Целевой контейнер не найден' });
+            return res.status(409).json({ error: 'Прежнего места уже нет, выберите, куда восстановить', needTarget: true, type: entry.type });
+        }
+        if (entry.type === 'item' && !target) {
+            return res.status(400).json({ error: 'Предмет нельзя восстановить в корень' });
+        }
+        const containerIds = entry.containers.map(c => c.id);
+        const itemIds = entry.items.map(i => i.id);
+        const taken = await db.collection('containers').countDocuments({ id: { $in: containerIds } }) +
+            await db.collection('items').countDocuments({ id: { $in: itemIds } });
+        if (taken > 0) return res.status(409).json({ error: 'Объекты с такими id уже есть на складе' });
+
+        // На новом месте поддерево получает владельца родителя, как при переносе
+        const root = entry.type === 'container' ? entry.containers.find(c => c.id === entry.objectId) : null;
+        const ownerId = root ? (parent && parent.ownerId) || root.ownerId : null;
+        const ownerChanged = root && ownerId !== root.ownerId;
+        const rev = await nextRev();
+        const containers = entry.containers.map(c => ({
+            ...c,
+            ...(c.id === entry.objectId ? { parent: target } : {}),
+            ...(ownerChanged ? { ownerId } : {}),
+            rev
+        }));
+        const items = entry.items.map(i => ({ ...i, ...(i.id === entry.objectId ? { container: target } : {}), rev }));
+        if (containers.length > 0) await db.collection('containers').insertMany(containers);
+        if (items.length > 0) await db.collection('items').insertMany(items);
+        if (entry.access.length > 0 && !ownerChanged) await db.collection('containerAccess').insertMany(entry.access);
+        await db.collection('trash').deleteOne({ id: entry.id });
+
+        for (const c of containers) await recordHistory(req, containerHistoryEntry('restore', c));
+        for (const i of items) await recordHistory(req, itemHistoryEntry('restore', i, { quantityDelta: i.quantity || 0 }));
+        for (const i of items) await syncShoppingLine(i);
+        res.json({ success: true, containers: containers.length, items: items.length });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// DELETE /api/trash/:id — удалить насовсем (вместе с файлами фото)
+app.delete('/trash/:id', authMiddleware, adminOnly, async (req, res) => {
+    try {
+        const entry = await db.collection('trash').findOne({ id: req.params.id });
+        if (!entry) return res.status(404).json({ error: 'Запись не найдена в корзине' });
+        await purgeTrashEntry(entry);
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// DELETE /api/trash — очистить корзину
+app.delete('/trash', authMiddleware, adminOnly, async (req, res) => {
+    try {
+        const entries = await db.collection('trash').find().toArray();
+        for (const entry of entries) await purgeTrashEntry(entry);
+        res.json({ success: true, purged: entries.length });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// === РЕЗЕРВНЫЕ КОПИИ И ИМПОРТ (только админ) ===
+
+const EXPORT_FORMAT = 'skladito-lan';
+const EXPORT_VERSION = 1;
+const IMPORT_MODES = ['merge', 'replace'];
+
+function withoutMongoId(docs) {
+    return docs.map(({ _id, ...doc }) => doc);
+}
+
+function photoIdFromUrl(url) {
+    const match = /^\/photos\/([0-9a-f]+)(_thumb)?\.jpg$/.exec(url || '');
+    return match ? match[1] : null;
+}
+
+function newImportId(prefix) {
+    return prefix + Date.now() + crypto.randomBytes(3).toString('hex');
+}
+
+function toDateOrNull(value) {
+    return value ? new Date(value) : null;
+}
+
+// Отпечаток секрета PIN-кодов: хеши из дампа подходят, только если секрет тот же
+function pinSecretFingerprint() {
+    return crypto.createHash('sha256').update('pin-secret:' + pinSecret).digest('hex').slice(0, 16);
+}
+
+const EXPORT_COLLECTIONS = ['containers', 'items', 'categories', 'fields', 'users', 'containerAccess', 'history', 'trash', 'loans', 'shopping', 'purchases', 'products'];
+
+function exportMeta() {
+    return { format: EXPORT_FORMAT, version: EXPORT_VERSION, exportDate: new Date().toISOString(), pinKey: pinSecretFingerprint() };
+}
+
+// id фото, на которые ссылается документ коллекции (у корзины — удалённые объекты внутри записи)
+function collectPhotoIds(name, doc, ids) {
+    let docs = [];
+    if (name === 'containers' || name === 'items') docs = [doc];
+    else if (name === 'trash') docs = [...doc.containers, ...doc.items];
+    else if (name === 'products' && doc.photo) docs = [{ photos: [doc.photo] }];
+    docs.forEach(d => (d.photos || []).forEach(p => {
+        const id = photoIdFromUrl(p.url);
+        if (id) ids.add(id);
+    }));
+}
+
+// Коллекция JSON-массивом по одному документу — целиком в памяти она не собирается
+async function* collectionChunks(name, photoIds) {
+    yield '[';
+    let first = true;
+    for await (const { _id, ...doc } of db.collection(name).find()) {
+        collectPhotoIds(name, doc, photoIds);
+        yield (first ? '' : ',') + JSON.stringify(doc);
+        first = false;
+    }
+    yield ']';
+}
+
+// Полный дамп одним JSON (без сессий) — формат /admin/export. Пишется в поток по частям: коллекции —
+// через collections(name), затем фото — data URL оригиналов по id, по одному файлу. Миниатюры пересоздаются при импорте
+async function* dumpChunks(meta, collections, photoFiles) {
+    yield JSON.stringify(meta).slice(0, -1);
+    for (const name of EXPORT_COLLECTIONS) {
+        yield `,"${name}":`;
+        yield* collections(name);
+    }
+    yield ',"photos":{';
+    let first = true;
+    for (const file of await photoFiles()) {
+        let buffer;
+        try {
+            buffer = await fs.readFile(file);
+        } catch (err) {
+            // Файла нет — ссылка останется битой, как и в самой базе
+            continue;
+        }
+        yield `${first ? '' : ','}"${path.basename(file, '.jpg')}":"data:image/jpeg;base64,${buffer.toString('base64')}"`;
+        first = false;
+    }
+    yield '}}';
+}
+
+// LAN-дамп (dumpChunks или каталог копии) или экспорт Phone-версии (exportData: containers/items/categories)
+function detectImportFormat(data) {
+    if (!data || typeof data !== 'object') return null;
+    if (data.format === EXPORT_FORMAT) return 'lan';
+    if (Array.isArray(data.containers) && Array.isArray(data.items)) return 'phone';
+    return null;
+}
+
+// План импорта: готовые документы и отчёт. В базу ничего не пишет — для dry-run отдаётся только отчёт.
+// Восстановление (LAN-дамп + replace) сохраняет id; в остальных случаях id выдаются заново
+async function planImport(data, options, user) {
+    const format = detectImportFormat(data);
+    const restore = format === 'lan' && options.mode === 'replace';
+    const report = {
+        format,
+        mode: options.mode,
+        containers: 0,
+        items: 0,
+        categories: { created: 0, matched: 0 },
+        fields: { created: 0, matched: 0 },
+        users: { created: 0, matched: 0, needInvite: [], demoted: [] },
+        access: 0,
+        photos: 0,
+        history: 0,
+        trash: 0,
+        loans: 0,
+        shopping: 0,
+        purchases: 0,
+        products: 0,
+        warnings: []
+    };
+    const plan = { format, restore, report, containers: [], items: [], categories: [], fields: [], users: [], access: [], history: [], trash: [], loans: [], shopping: [], purchases: [], products: [], photoJobs: [] };
+
+    // Фото: base64 из Phone и старых документов сохраняются заново, файлы из LAN-дампа — под прежними id.
+    // У копии-каталога фото лежат файлами в options.photoDir
+    const dumpPhotos = format === 'lan' && data.photos && typeof data.photos === 'object' ? data.photos : {};
+    function planPhotos(source, target, label) {
+        if (Array.isArray(source.photos) && source.photos.length > 0) {
+            target.photos = [];
+            source.photos.forEach(p => {
+                const id = p && photoIdFromUrl(p.url);
+                if (!id) return;
+                target.photos.push({ id, url: `/photos/${id}.jpg`, thumb: `/photos/${id}_thumb.jpg` });
+                if (dumpPhotos[id]) {
+                    if (decodeDataUrl(dumpPhotos[id])) plan.photoJobs.push({ id, data: dumpPhotos[id] });
+                    else report.warnings.push(`Повреждённое фото у «${label}»`);
+                } else if (options.photoDir) {
+                    plan.photoJobs.push({ id, file: path.join(options.photoDir, id + '.jpg') });
+                }
+            });
+            Object.assign(target, photoFields(target.photos));
+        } else if (typeof source.photo === 'string' && source.photo.startsWith('data:')) {
+            Object.assign(target, photoFields([]));
+            if (decodeDataUrl(source.photo)) plan.photoJobs.push({ target, data: source.photo });
+            else report.warnings.push(`Повреждённое фото у «${label}»`);
+        } else {
+            Object.assign(target, photoFields([]));
+        }
+    }
+
+    // Пользователи и доступы есть только в LAN-дампе
+    const userMap = new Map();
+    if (format === 'lan') {
+        const samePinSecret = data.pinKey === pinSecretFingerprint();
+        const existingUsers = restore ? [] : await db.collection('users').find().toArray();
+        (Array.isArray(data.users) ? data.users : []).forEach(u => {
+            if (!u || typeof u.id !== 'string' || !u.name) return;
+            const match = existingUsers.find(e => e.name.trim().toLowerCase() === String(u.name).trim().toLowerCase());
+            if (match) {
+                userMap.set(u.id, match.id);
+                report.users.matched++;
+                return;
+            }
+            const { code, failedAttempts, lockedUntil, ...rest } = u;
+            const doc = {
+                ...rest,
+                id: restore ? u.id : newImportId('u'),
+                inviteExpires: toDateOrNull(u.inviteExpires)
+            };
+            // Хеш PIN-кода с другого сервера не проверить — пользователь активируется заново по приглашению
+            if (doc.isActive && !samePinSecret) {
+                Object.assign(doc, {
+                    pinHash: null,
+                    pinSalt: null,
+                    isActive: false,
+                    inviteToken: generateToken(),
+                    inviteExpires: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000)
+                });
+                report.users.needInvite.push(doc.name);
+            }
+            // При слиянии права чужого склада не переносятся: админа назначает здешний админ, старое приглашение
+            // не действует, а PIN-код, известный на том сервере, нужно сменить при первом входе
+            if (!restore) {
+                if (doc.isAdmin) report.users.demoted.push(doc.name);
+                doc.isAdmin = false;
+                if (doc.pinHash) doc.mustChangePin = true;
+                if (!doc.isActive && doc.inviteToken && !report.users.needInvite.includes(doc.name)) {
+                    Object.assign(doc, { inviteToken: generateToken(), inviteExpires: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000) });
+                    report.users.needInvite.push(doc.name);
+                }
+            }
+            userMap.set(u.id, doc.id);
+            plan.users.push(doc);
+            report.users.created++;
+        });
+    }
+
+    // Категории: при слиянии совпадающие по названию не дублируются
+    const categoryMap = new Map();
+    const existingCategories = options.mode === 'replace' ? [] : await db.collection('categories').find().toArray();
+    let order = existingCategories.reduce((max, c) => Math.max(max, c.order || 0), 0);
+    (Array.isArray(data.categories) ? data.categories : []).forEach(c => {
+        if (!c || typeof c.id !== 'string' || !c.name) return;
+        const match = existingCategories.find(e => e.name.trim().toLowerCase() === String(c.name).trim().toLowerCase());
+        if (match) {
+            categoryMap.set(c.id, match.id);
+            report.categories.matched++;
+            return;
+        }
+        const doc = restore
+            ? { ...c }
+            : { id: newImportId('cat'), name: c.name, icon: c.icon || '📁', order: ++order };
+        categoryMap.set(c.id, doc.id);
+        plan.categories.push(doc);
+        report.categories.created++;
+    });
+
+    // Дополнительные поля (только в LAN-дампе): при слиянии совпадают по id (поля по умолчанию)
+    // или по названию и назначению; значения без описания поля не переносятся
+    const fieldMap = new Map();
+    plan.replaceFields = options.mode === 'replace' && format === 'lan' && Array.isArray(data.fields);
+    const existingFields = plan.replaceFields ? [] : await db.collection('fields').find().toArray();
+    const targetFields = [...existingFields];
+    let fieldOrder = existingFields.reduce((max, f) => Math.max(max, f.order || 0), 0);
+    (format === 'lan' && Array.isArray(data.fields) ? data.fields : []).forEach(f => {
+        if (!f || typeof f.id !== 'string' || !f.name || !FIELD_TYPES.includes(f.type) || !FIELD_TARGETS.includes(f.appliesTo)) return;
+        const match = existingFields.find(e => e.id === f.id) || existingFields.find(e =>
+            e.appliesTo === f.appliesTo && e.type === f.type && e.name.trim().toLowerCase() === String(f.name).trim().toLowerCase());
+        if (match) {
+            fieldMap.set(f.id, match.id);
+            report.fields.matched++;
+            return;
+        }
+        const doc = {
+            ...(restore ? f : {}),
+            id: restore || /^f_/.test(f.id) ? f.id : newImportId('f'),
+            name: f.name,
+            type: f.type,
+            appliesTo: f.appliesTo,
+            options: Array.isArray(f.options) ? f.options.map(String) : [],
+            categories: (Array.isArray(f.categories) ? f.categories : []).map(id => categoryMap.get(id)).filter(Boolean),
+            order: restore ? f.order : ++fieldOrder
+        };
+        fieldMap.set(f.id, doc.id);
+        plan.fields.push(doc);
+        targetFields.push(doc);
+        report.fields.created++;
+    });
+    // Значения полей и теги из исходного документа — под id полей в этой базе
+    function planExtras(source, target, kind, label) {
+        delete target.fields;
+        delete target.tags;
+        if (source.fields && typeof source.fields === 'object') {
+            const values = {};
+            Object.entries(source.fields).forEach(([id, value]) => {
+                if (fieldMap.has(id)) values[fieldMap.get(id)] = value;
+            });
+            const { fields, error } = normalizeFieldValues(values, targetFields, kind);
+            if (error) report.warnings.push(`«${label}»: ${error}, поля пропущены`);
+            else if (Object.keys(fields).length > 0) target.fields = fields;
+        }
+        if (Array.isArray(source.tags)) {
+            const { tags } = normalizeTags(source.tags.slice(0, MAX_TAGS));
+            if (tags.length > 0) target.tags = tags;
+        }
+    }
+
+    // Контейнеры: сначала id, потом родители — порядок в файле может быть любым
+    const sourceContainers = (Array.isArray(data.containers) ? data.containers : []).filter(c => {
+        if (c && typeof c.id === 'string' && c.name) return true;
+        report.warnings.push('Пропущен контейнер без id или названия');
+        return false;
+    });
+    const sourceById = new Map(sourceContainers.map(c => [c.id, c]));
+    const containerMap = new Map(sourceContainers.map(c => [c.id, restore ? c.id : newImportId('c')]));
+    const importRoot = restore ? null : options.parent || null;
+    const parentOf = new Map();
+    sourceContainers.forEach(c => {
+        if (c.parent && !sourceById.has(c.parent)) {
+            report.warnings.push(`Контейнер «${c.name}»: родитель не найден, помещён в корень`);
+        }
+        parentOf.set(c.id, c.parent && sourceById.has(c.parent) ? c.parent : null);
+    });
+    // Цикл в дереве (контейнер — свой предок) выпал бы из дерева: разрываем его, поднимая контейнер в корень
+    sourceContainers.forEach(c => {
+        const seen = new Set();
+        for (let cur = parentOf.get(c.id); cur && !seen.has(cur); cur = parentOf.get(cur)) {
+            if (cur === c.id) {
+                report.warnings.push(`Контейнер «${c.name}»: цикл в дереве, помещён в корень`);
+                parentOf.set(c.id, null);
+                break;
+            }
+            seen.add(cur);
+        }
+    });
+    for (const c of sourceContainers) {
+        const parent = parentOf.get(c.id);
+        let ownerId = options.ownerId;
+        if (format === 'lan' && !options.ownerOverride) ownerId = userMap.get(c.ownerId) || options.ownerId;
+        const doc = {
+            ...(restore ? c : {}),
+            id: containerMap.get(c.id),
+            name: c.name,
+            number: c.number || null,
+            parent: parent ? containerMap.get(parent) : importRoot,
+            ownerId,
+            created: c.created || new Date().toISOString()
+        };
+        planPhotos(c, doc, c.name);
+        planExtras(c, doc, 'container', c.name);
+        plan.containers.push(doc);
+    }
+    report.containers = plan.containers.length;
+
+    (Array.isArray(data.items) ? data.items : []).forEach(i => {
+        if (!i || !i.name) {
+            report.warnings.push('Пропущен предмет без названия');
+            return;
+        }
+        if (!containerMap.has(i.container)) {
+            report.warnings.push(`Предмет «${i.name}»: контейнер не найден, пропущен`);
+            return;
+        }
+        const quantity = parseInt(i.quantity);
+        const doc = {
+            ...(restore ? i : {}),
+            id: restore && typeof i.id === 'string' ? i.id : newImportId('i'),
+            name: i.name,
+            quantity: Number.isInteger(quantity) && quantity >= 0 ? quantity : 0,
+            minQuantity: Math.max(parseInt(i.minQuantity) || 0, 0),
+            category: i.category ? categoryMap.get(i.category) || null : null,
+            container: containerMap.get(i.container),
+            created: i.created || new Date().toISOString()
+        };
+        if (i.category && !doc.category) report.warnings.push(`Предмет «${i.name}»: категория не найдена`);
+        if (i.batches !== undefined) {
+            const { batches, error } = normalizeBatches(i.batches);
+            if (error) {
+                delete doc.batches;
+                report.warnings.push(`Предмет «${i.name}»: ${error}, партии пропущены`);
+            }
+            else if (batches.length > 0) Object.assign(doc, { batches, quantity: batchTotal(batches) });
+        }
+        planPhotos(i, doc, i.name);
+        planExtras(i, doc, 'item', i.name);
+        plan.items.push(doc);
+    });
+    report.items = plan.items.length;
+
+    if (format === 'lan') {
+        (Array.isArray(data.containerAccess) ? data.containerAccess : []).forEach(a => {
+            const containerId = a && containerMap.get(a.containerId);
+            const userId = a && (restore ? a.userId : userMap.get(a.userId));
+            if (!containerId || !userId) return;
+            plan.access.push({ containerId, userId, role: HELPER_ROLES.includes(a.role) ? a.role : 'editor' });
+        });
+        report.access = plan.access.length;
+        if (restore) {
+            plan.history = withoutMongoId(Array.isArray(data.history) ? data.history : []).map(h => ({ ...h, at: new Date(h.at) }));
+            report.history = plan.history.length;
+            // Корзина восстанавливается как есть, вместе с файлами фото удалённых объектов
+            plan.trash = withoutMongoId(Array.isArray(data.trash) ? data.trash : []).map(e => ({
+                ...e,
+                deletedAt: new Date(e.deletedAt),
+                expiresAt: new Date(e.expiresAt)
+            }));
+            plan.trash.forEach(e => [...e.containers, ...e.items].forEach(doc => planPhotos(doc, {}, doc.name)));
+            report.trash = plan.trash.length;
+            plan.loans = withoutMongoId(Array.isArray(data.loans) ? data.loans : []).map(l => ({
+                ...l,
+                dueDate: toDateOrNull(l.dueDate),
+                createdAt: new Date(l.createdAt),
+                returnedAt: toDateOrNull(l.returnedAt),
+                returns: (l.returns || []).map(r => ({ ...r, at: new Date(r.at) }))
+            }));
+            report.loans = plan.loans.length;
+            plan.shopping = withoutMongoId(Array.isArray(data.shopping) ? data.shopping : []).map(l => ({ ...l, createdAt: new Date(l.createdAt) }));
+            report.shopping = plan.shopping.length;
+            plan.purchases = withoutMongoId(Array.isArray(data.purchases) ? data.purchases : []).map(p => ({ ...p, boughtAt: new Date(p.boughtAt) }));
+            report.purchases = plan.purchases.length;
+            plan.products = withoutMongoId(Array.isArray(data.products) ? data.products : []).map(p => {
+                const target = {};
+                if (p.photo) planPhotos({ photos: [p.photo] }, target, p.name);
+                return { ...p, photo: (target.photos || [])[0] || null, createdAt: new Date(p.createdAt), updatedAt: new Date(p.updatedAt) };
+            });
+            report.products = plan.products.length;
+        } else if (Array.isArray(data.history) && data.history.length > 0) {
+            report.warnings.push('История переносится только при полном восстановлении (replace)');
+        }
+    }
+    report.photos = plan.photoJobs.length;
+    if (restore && !plan.users.some(u => u.id === user.id)) {
+        report.warnings.push(`Пользователя «${user.name}» нет в копии — он будет сохранён`);
+    }
+    return plan;
+}
+
+// Записать план в базу. Перед заменой данных автоматически делается резервная копия
+async function applyImport(plan, req) {
+    let backup = null;
+    if (plan.report.mode === 'replace') backup = await createBackup('before-import');
+
+    for (const job of plan.photoJobs) {
+        try {
+            if (job.target) {
+                Object.assign(job.target, photoFields([await storePhoto(decodeDataUrl(job.data))]));
+            } else if (!await fs.access(path.join(PHOTOS_DIR, job.id + '.jpg')).then(() => true, () => false)) {
+                await storePhoto(job.file ? await fs.readFile(job.file) : decodeDataUrl(job.data), job.id);
+            }
+        } catch (err) {
+            plan.report.warnings.push('Не удалось сохранить фото: ' + err.message);
+        }
+    }
+
+    if (plan.report.mode === 'replace') {
+        for (const name of ['containers', 'items', 'categories', 'containerAccess']) {
+            await db.collection(name).deleteMany({});
+        }
+        // В экспорте Phone-версии и старых дампах описаний полей нет — тогда остаются текущие
+        if (plan.replaceFields) await db.collection('fields').deleteMany({});
+        if (plan.restore) {
+            await db.collection('history').deleteMany({});
+            await db.collection('trash').deleteMany({});
+            await db.collection('loans').deleteMany({});
+            await db.collection('shopping').deleteMany({});
+            await db.collection('purchases').deleteMany({});
+            await db.collection('products').deleteMany({});
+            await db.collection('users').deleteMany({ id: { $ne: req.user.id } });
+            // Текущий админ остаётся со своим PIN-кодом и сессией, остальные входят заново
+            plan.users = plan.users.filter(u => u.id !== req.user.id);
+            await db.collection('sessions').deleteMany({ userId: { $ne: req.user.id } });
+        }
+    }
+
+    const rev = await nextRev();
+    const insert = async (name, docs) => {
+        if (docs.length > 0) await db.collection(name).insertMany(docs);
+    };
+    await insert('users', plan.users);
+    await insert('categories', plan.categories.map(c => ({ ...c, rev })));
+    await insert('fields', plan.fields.map(f => ({ ...f, rev })));
+    await insert('containers', plan.containers.map(c => ({ ...c, rev })));
+    await insert('items', plan.items.map(i => ({ ...i, rev })));
+    await insert('containerAccess', plan.access);
+    await insert('history', plan.history);
+    await insert('trash', plan.trash);
+    await insert('loans', plan.loans);
+    await insert('shopping', plan.shopping);
+    await insert('purchases', plan.purchases);
+    await insert('products', plan.products);
+
+    if (!plan.restore) {
+        const comment = plan.format === 'phone' ? 'Импорт из Phone-версии' : 'Импорт';
+        for (const c of plan.containers) await recordHistory(req, containerHistoryEntry('create', c, { comment }));
+        for (const i of plan.items) {
+            await recordHistory(req, itemHistoryEntry('create', i, { quantityDelta: i.quantity, reason: 'restock', comment }));
+        }
+    }
+    return backup;
+}
+
+// Копия на сервере — каталог: meta.json, по JSON-файлу на коллекцию и photos/ с файлами фото.
+// Копии в старом формате — один JSON-файл (как /admin/export) — по-прежнему видны и восстанавливаются
+function backupFileName(tag) {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    return `skladito-${stamp}${tag ? '-' + tag : ''}`;
+}
+
+function isBackupName(name) {
+    return typeof name === 'string' && /^skladito-[0-9A-Za-z-]+(\.json)?$/.test(name);
+}
+
+async function backupSize(target) {
+    const stat = await fs.stat(target);
+    if (!stat.isDirectory()) return stat.size;
+    let size = 0;
+    for (const entry of await fs.readdir(target)) size += await backupSize(path.join(target, entry));
+    return size;
+}
+
+async function listBackups() {
+    await fs.mkdir(BACKUP_DIR, { recursive: true });
+    const names = (await fs.readdir(BACKUP_DIR)).filter(isBackupName);
+    const backups = [];
+    for (const name of names) {
+        const stat = await fs.stat(path.join(BACKUP_DIR, name));
+        backups.push({ name, size: await backupSize(path.join(BACKUP_DIR, name)), created: stat.mtime });
+    }
+    return backups.sort((a, b) => b.created - a.created);
+}
+
+// Записать копию в BACKUP_DIR (через временный каталог — недописанная копия не попадёт в список)
+// и оставить BACKUP_KEEP последних. Коллекции пишутся потоком, фото — жёсткими ссылками на файлы
+// (копия не занимает место, пока фото не удалено), на другом диске — копированием
+async function createBackup(tag) {
+    await fs.mkdir(BACKUP_DIR, { recursive: true });
+    const name = backupFileName(tag);
+    const tmpDir = path.join(BACKUP_DIR, name + '.tmp');
+    await fs.mkdir(path.join(tmpDir, 'photos'), { recursive: true });
+    try {
+        await fs.writeFile(path.join(tmpDir, 'meta.json'), JSON.stringify(exportMeta()));
+        const photoIds = new Set();
+        for (const collection of EXPORT_COLLECTIONS) {
+            await pipeline(Readable.from(collectionChunks(collection, photoIds)), fsSync.createWriteStream(path.join(tmpDir, collection + '.json')));
+        }
+        for (const id of photoIds) {
+            const source = path.join(PHOTOS_DIR, id + '.jpg');
+            const target = path.join(tmpDir, 'photos', id + '.jpg');
+            await fs.link(source, target).catch(() => fs.copyFile(source, target)).catch(() => {
+                // Файла нет — ссылка останется битой, как и в самой базе
+            });
+        }
+        await fs.rename(tmpDir, path.join(BACKUP_DIR, name));
+    } catch (err) {
+        await fs.rm(tmpDir, { recursive: true, force: true });
+        throw err;
+    }
+    const backups = await listBackups();
+    for (const old of backups.slice(Math.max(BACKUP_KEEP, 1))) {
+        await fs.rm(path.join(BACKUP_DIR, old.name), { recursive: true, force: true });
+    }
+    return name;
+}
+
+// Прочитать JSON-дамп с диска потоком: фото из photos раскладываются файлами <id>.jpg в photoDir
+// (как у копии-каталога), остальное собирается в объект. Так в памяти не оказывается весь файл
+async function readDumpFile(file, photoDir) {
+    const assembler = new JsonAssembler();
+    await pipeline(fsSync.createReadStream(file), jsonParser(), jsonIgnore({ filter: 'photos' }), async function (tokens) {
+        for await (const token of tokens) assembler.consume(token);
+    });
+    const data = assembler.current;
+    if (data && data.format === EXPORT_FORMAT) {
+        await pipeline(fsSync.createReadStream(file), jsonParser(), jsonPick({ filter: 'photos' }), jsonObjectEntries(), async function (entries) {
+            for await (const { key, value } of entries) {
+                const buffer = /^[0-9a-f]+$/.test(key) && typeof value === 'string' && decodeDataUrl(value);
+                if (buffer) await fs.writeFile(path.join(photoDir, key + '.jpg'), buffer);
+            }
+        });
+    }
+    return data;
+}
+
+// Прочитать копию для импорта: { data, photoDir }. Фото копии-файла раскладываются во временный tmpDir
+async function readBackup(name, tmpDir) {
+    const target = path.join(BACKUP_DIR, name);
+    if (!(await fs.stat(target)).isDirectory()) return { data: await readDumpFile(target, tmpDir), photoDir: tmpDir };
+    const data = JSON.parse(await fs.readFile(path.join(target, 'meta.json'), 'utf8'));
+    for (const collection of EXPORT_COLLECTIONS) {
+        data[collection] = JSON.parse(await fs.readFile(path.join(target, collection + '.json'), 'utf8'));
+    }
+    return { data, photoDir: path.join(target, 'photos') };
+}
+
+// Копии по расписанию; при запуске — сразу, если последняя старше интервала
+async function scheduleBackups() {
+    if (!(BACKUP_INTERVAL_HOURS > 0)) return;
+    const intervalMs = BACKUP_INTERVAL_HOURS * 60 * 60 * 1000;
+    const run = () => createBackup()
+        .then(name => console.log(`💾 Backup created: ${name}`))
+        .catch(err => console.error('❌ Backup failed:', err.message));
+    const [latest] = await listBackups();
+    if (!latest || Date.now() - latest.created.getTime() > intervalMs) run();
+    setInterval(run, intervalMs);
+}
+
+// Отдать дамп потоком; ошибка посреди ответа обрывает его — недописанный JSON не импортируется
+async function sendDump(res, fileName, chunks) {
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    try {
+        await pipeline(Readable.from(chunks), res);
+    } catch (err) {
+        if (!res.headersSent) res.status(500).json({ error: err.message });
+        else res.destroy(err);
+    }
+}
+
+// GET /api/admin/export — полный дамп (?photos=0 — без файлов фото)
+app.get('/admin/export', authMiddleware, adminOnly, async (req, res) => {
+    const photoIds = new Set();
+    await sendDump(res, backupFileName() + '.json', dumpChunks(
+        exportMeta(),
+        name => collectionChunks(name, photoIds),
+        async () => req.query.photos === '0' ? [] : [...photoIds].map(id => path.join(PHOTOS_DIR, id + '.jpg'))
+    ));
+});
+
+// POST /api/admin/import — импорт LAN-дампа или экспорта Phone-версии.
+// Файл — multipart (поле file), либо JSON { data }, либо { backup: имя копии на сервере}.
+// Параметры: mode (merge | replace), dryRun, ownerId (владелец контейнеров), parent (куда положить при слиянии)
+app.post('/admin/import', authMiddleware, adminOnly, (req, res, next) => {
+    backupUpload.single('file')(req, res, err => {
+        if (err) return res.status(400).json({ error: 'Ошибка загрузки: ' + err.message });
+        next();
+    });
+}, async (req, res) => {
+    let tmpDir = null;
+    try {
+        const mode = req.body.mode || 'merge';
+        if (!IMPORT_MODES.includes(mode)) return res.status(400).json({ error: 'Неизвестный режим импорта' });
+        const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+
+        let data;
+        let photoDir = null;
+        if (req.file) {
+            tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'skladito-import-'));
+            try {
+                data = await readDumpFile(req.file.path, tmpDir);
+                photoDir = tmpDir;
+            } catch (err) {
+                return res.status(400).json({ error: 'Файл не является JSON' });
+            }
+        } else if (req.body.backup) {
+            if (!isBackupName(req.body.backup)) return res.status(400).json({ error: 'Неверное имя копии' });
+            tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'skladito-import-'));
+            try {
+                ({ data, photoDir } = await readBackup(req.body.backup, tmpDir));
+            } catch (err) {
+                return res.status(404).json({ error: 'Копия не найдена' });
+            }
+        } else {
+            data = req.body.data;
+        }
+        if (!detectImportFormat(data)) return res.status(400).json({ error: 'Неизвестный формат данных' });
+
+        const options = { mode, ownerId: req.user.id, ownerOverride: false, parent: null, photoDir };
+        if (req.body.ownerId) {
+            const owner = await db.collection('users').findOne({ id: req.body.ownerId });
+            if (!owner) return res.status(404).json({ error: 'Владелец не найден' });
+            options.ownerId = owner.id;
+            options.ownerOverride = true;
+        }
+        if (req.body.parent) {
+            if (mode === 'replace') return res.status(400).json({ error: 'При замене данные импортируются в корень' });
+            const parent = await db.collection('containers').findOne({ id: req.body.parent });
+            if (!parent) return res.status(404).json({ error: 'Родительский контейнер не найден' });
+            options.parent = parent.id;
+        }
+
+        const plan = await planImport(data, options, req.user);
+        if (dryRun) return res.json({ dryRun: true, report: plan.report });
+        const backup = await applyImport(plan, req);
+        await syncShoppingLines();
+        // После замены данных клиентам проще перечитать всё целиком
+        publishChange(req, { objectType: 'warehouse', objectId: null, objectName: null, action: 'import', containerIds: null });
+        res.json({ dryRun: false, report: plan.report, backup });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    } finally {
+        if (req.file) fs.unlink(req.file.path).catch(() => {});
+        if (tmpDir) fs.rm(tmpDir, { recursive: true, force: true }).catch(() => {});
+    }
+});
+
+// GET /api/admin/backups — список резервных копий
+app.get('/admin/backups', authMiddleware, adminOnly, async (req, res) => {
+    try {
+        res.json(await listBackups());
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// POST /api/admin/backups — сделать копию сейчас
+app.post('/admin/backups', authMiddleware, adminOnly, async (req, res) => {
+    try {
+        const name = await createBackup();
+        res.status(201).json({ name });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// GET /api/admin/backups/:name — скачать копию одним JSON-файлом, как /admin/export
+app.get('/admin/backups/:name', authMiddleware, adminOnly, async (req, res) => {
+    if (!isBackupName(req.params.name)) return res.status(400).json({ error: 'Неверное имя копии' });
+    const target = path.join(BACKUP_DIR, req.params.name);
+    const stat = await fs.stat(target).catch(() => null);
+    if (!stat) return res.status(404).json({ error: 'Копия не найдена' });
+    if (!stat.isDirectory()) {
+        return res.download(target, err => {
+            if (err && !res.headersSent) res.status(404).json({ error: 'Копия не найдена' });
+        });
+    }
+    let meta;
+    try {
+        meta = JSON.parse(await fs.readFile(path.join(target, 'meta.json'), 'utf8'));
+    } catch (err) {
+        return res.status(500).json({ error: err.message });
+    }
+    const photoDir = path.join(target, 'photos');
+    await sendDump(res, req.params.name + '.json', dumpChunks(
+        meta,
+        name => fsSync.createReadStream(path.join(target, name + '.json')),
+        async () => (await fs.readdir(photoDir)).map(file => path.join(photoDir, file))
+    ));
+});
+
+// === ПОИСК ===
+
+const SEARCH_TYPES = ['all', 'items', 'containers'];
+const SEARCH_MAX_LIMIT = 200;
+
+// Регистр (в том числе кириллица) и ё/е при поиске не различаются
+function normalizeSearchText(value) {
+    return String(value || '').toLowerCase().replace(/ё/g, 'е');
+}
+
+function tokenize(value) {
+    return normalizeSearchText(value).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+// Расстояние Левенштейна; как только оно точно больше max, считать дальше незачем
+function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const cur = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+            rowMin = Math.min(rowMin, cur[j]);
+        }
+        if (rowMin > max) return max + 1;
+        prev = cur;
+    }
+    return prev[b.length];
+}
+
+// Опечатки допускаются только в словах подлиннее, иначе «кот» находил бы «рот»
+function allowedTypos(token) {
+    if (token.length >= 8) return 2;
+    if (token.length >= 4) return 1;
+    return 0;
+}
+
+// Оценка совпадения слова запроса со словами названия: 4 — слово целиком, 3 — начало слова,
+// 2 — часть слова, 1 — с опечаткой, 0 — нет совпадения
+function matchToken(token, words) {
+    let best = 0;
+    const typos = allowedTypos(token);
+    for (const word of words) {
+        if (word === token) return 4;
+        if (word.startsWith(token)) best = Math.max(best, 3);
+        else if (word.includes(token)) best = Math.max(best, 2);
+        else if (best === 0 && typos > 0) {
+            // Опечатка во всём слове или в его начале (запрос ещё не допечатан)
+            if (editDistance(token, word, typos) <= typos || editDistance(token, word.slice(0, token.length), typos) <= typos) {
+                best = 1;
+            }
+        }
+    }
+    return best;
+}
+
+// Должны найтись все слова запроса; сумма оценок используется для сортировки
+function scoreText(tokens, text) {
+    if (tokens.length === 0) return 1;
+    const words = tokenize(text);
+    let total = 0;
+    for (const token of tokens) {
+        const score = matchToken(token, words);
+        if (score === 0) return 0;
+        total += score;
+    }
+    return total;
+}
+
+// Кроме названия ищутся теги и текстовые поля (серийный номер, заметки)
+function searchableText(doc, type, textFieldIds) {
+    const extra = [...(doc.tags || []), ...(doc.barcodes || []), ...textFieldIds.map(id => (doc.fields || {})[id]).filter(Boolean)].join(' ');
+    return (type === 'container' ? `${doc.name} ${doc.number || ''}` : doc.name) + (extra ? ' ' + extra : '');
+}
+
+// Путь от корня до контейнера, как getContainerPath на клиенте. byId — только доступные
+// пользователю контейнеры, поэтому имена чужих родительских коробок в путь не попадают
+function containerPath(containerId, byId) {
+    const result = [];
+    const seen = new Set();
+    for (let cur = byId.get(containerId); cur && !seen.has(cur.id); cur = byId.get(cur.parent)) {
+        seen.add(cur.id);
+        result.unshift({ id: cur.id, number: cur.number || null, name: cur.name });
+    }
+    return result;
+}
+
+function pathText(containerPathList) {
+    return ['Главная', ...containerPathList.map(p => p.name)].join(' > ');
+}
+
+// Фильтры поиска из query (общие для /search и выгрузки в таблицу): { filters } или { error }.
+// filters.matchesItem / matchesContainer проверяют всё, кроме места (поддерево) и текста запроса
+async function parseSearchFilters(query) {
+    const tokens = tokenize(String(query.q || '').slice(0, 200)).slice(0, 10);
+    const { category, owner } = query;
+    const belowMin = query.belowMin === '1' || query.belowMin === 'true';
+    const tags = String(query.tags || '').split(',').map(t => normalizeSearchText(t.trim().replace(/^#+/, ''))).filter(Boolean);
+    const defs = await db.collection('fields').find().toArray();
+    const defById = new Map(defs.map(d => [d.id, d]));
+    const fieldFilters = [];
+    const rawFilters = query.fields && typeof query.fields === 'object' ? query.fields : {};
+    for (const [id, value] of Object.entries(rawFilters)) {
+        const def = defById.get(id);
+        if (!def) return { error: `Неизвестное поле: ${id}` };
+        if (typeof value !== 'string' || value === '') continue;
+        if ((def.type === 'number' || def.type === 'date') && value !== '*') {
+            const bounds = value.includes('..') ? value.split('..') : [value];
+            if (bounds.length > 2 || bounds.some(b => b !== '' && (def.type === 'number' ? !Number.isFinite(Number(b)) : !parseDay(b)))) {
+                return { error: `Неверный фильтр поля «${def.name}»` };
+            }
+        }
+        fieldFilters.push({ def, value });
+    }
+    const textFieldIds = defs.filter(d => d.type === 'text').map(d => d.id);
+    // Фильтр по полю подходит только документам своего вида: поле предмета отсекает контейнеры
+    const matchesExtras = (doc, docType) => (tags.length === 0 || hasAllTags(doc, tags)) &&
+        fieldFilters.every(f => f.def.appliesTo === docType && matchFieldFilter(f.def, (doc.fields || {})[f.def.id], f.value));
+    return {
+        filters: {
+            tokens,
+            textFieldIds,
+            // Категория и «нужно докупить» — свойства предметов, контейнеры с такими фильтрами не ищутся
+            itemOnly: !!category || belowMin,
+            matchesContainer: c => (!owner || c.ownerId === owner) && matchesExtras(c, 'container'),
+            matchesItem: (i, container) => {
+                if (owner && container.ownerId !== owner) return false;
+                if (category === 'none' && i.category) return false;
+                if (category && category !== 'none' && i.category !== category) return false;
+                if (belowMin && !isBelowMin(i)) return false;
+                return matchesExtras(i, 'item');
+            }
+        }
+    };
+}
+
+// GET /api/search — поиск по названию (для контейнеров и по номеру), тегам и текстовым полям с фильтрами.
+// q — слова запроса, type (all | items | containers), category (id или none), container (поддерево),
+// owner (владелец контейнера), belowMin=1 (нужно докупить), tags (через запятую, нужны все),
+// fields[<id поля>] (см. matchFieldFilter), limit, offset.
+// Каждый результат содержит path/pathText — где он лежит
+app.get('/search', authMiddleware, async (req, res) => {
+    try {
+        const type = req.query.type || 'all';
+        if (!SEARCH_TYPES.includes(type)) return res.status(400).json({ error: 'Неизвестный тип поиска' });
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), SEARCH_MAX_LIMIT);
+        const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+        const { filters, error } = await parseSearchFilters(req.query);
+        if (error) return res.status(400).json({ error });
+
+        const roles = await getContainerRoles(req.user);
+        const containers = (await db.collection('containers').find().toArray()).filter(c => roles.has(c.id));
+        const byId = new Map(containers.map(c => [c.id, c]));
+        let scope = null;
+        if (req.query.container) {
+            if (!byId.has(req.query.container)) return res.status(403).json({ error: 'Нет доступа к контейнеру' });
+            scope = getSubtreeIds(req.query.container, containers);
+        }
+
+        const rank = (docs, docType) => docs
+            .map(doc => ({ doc, score: scoreText(filters.tokens, searchableText(doc, docType, filters.textFieldIds)) }))
+            .filter(r => r.score > 0)
+            .sort((a, b) => b.score - a.score || a.doc.name.localeCompare(b.doc.name, 'ru'));
+        const page = (ranked, locate) => ranked.slice(offset, offset + limit).map(({ doc, score }) => {
+            const { _id, ...dto } = doc;
+            const path = containerPath(locate(doc), byId);
+            return { ...dto, path, pathText: pathText(path), score };
+        });
+
+        let foundContainers = [];
+        if (type !== 'items' && !filters.itemOnly) {
+            foundContainers = rank(containers.filter(c => {
+                if (scope && (!scope.has(c.id) || c.id === req.query.container)) return false;
+                return filters.matchesContainer(c);
+            }), 'container');
+        }
+        let foundItems = [];
+        if (type !== 'containers') {
+            const items = await db.collection('items').find().toArray();
+            foundItems = rank(items.filter(i => {
+                if (!byId.has(i.container)) return false;
+                if (scope && !scope.has(i.container)) return false;
+                return filters.matchesItem(i, byId.get(i.container));
+            }), 'item');
+        }
+
+        res.json({
+            containers: page(foundContainers, c => c.parent),
+            items: page(foundItems, i => i.container),
+            total: { containers: foundContainers.length, items: foundItems.length },
+            limit,
+            offset
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// === ТАБЛИЦЫ (CSV / XLSX) ===
+
+const TABLE_FORMATS = ['csv', 'xlsx'];
+const TABLE_MAX_ROWS = 5000;
+const TABLE_PREVIEW_ROWS = 20;
+const TABLE_QUANTITY_MODES = ['set', 'add'];
+const PATH_SEPARATOR = ' > ';
+// Куда можно отнести колонку при импорте; поле — 'field:<id>', пустая строка — пропустить
+const TABLE_TARGETS = ['path', 'level', 'name', 'quantity', 'minQuantity', 'category', 'tags', 'barcodes'];
+// Заголовки, по которым колонка узнаётся без ручной настройки (сравниваются без регистра)
+const TABLE_HEADER_HINTS = {
+    path: ['путь', 'расположение', 'место', 'где лежит', 'path', 'location'],
+    name: ['название', 'наименование', 'предмет', 'name', 'item'],
+    quantity: ['количество', 'кол-во', 'кол', 'остаток', 'quantity', 'qty'],
+    minQuantity: ['мин. количество', 'минимум', 'мин', 'min', 'min quantity'],
+    category: ['категория', 'category'],
+    tags: ['теги', 'метки', 'tags'],
+    barcodes: ['штрихкоды', 'штрихкод', 'штрих-код', 'ean', 'barcode', 'barcodes']
+};
+
+const tableUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 10 * 1024 * 1024, files: 1 } });
+
+// Значение ячейки XLSX/CSV как текст; даты — 'ГГГГ-ММ-ДД', формулы — результат
+function cellText(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString().slice(0, 10);
+    if (typeof value === 'object') {
+        if (value.result !== undefined) return cellText(value.result);
+        if (Array.isArray(value.richText)) return value.richText.map(r => r.text).join('');
+        if (value.text !== undefined) return cellText(value.text);
+        return '';
+    }
+    return String(value).trim();
+}
+
+// CSV по RFC 4180; разделитель (; , или табуляция) определяется по первой строке
+function parseCsv(text) {
+    text = text.replace(/^\uFEFF/, '');
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const delimiter = [';', ',', '\t'].reduce((best, d) => (firstLine.split(d).length > firstLine.split(best).length ? d : best), ';');
+    const rows = [];
+    let row = [], cell = '', quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quoted) {
+            if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+            else if (ch === '"') quoted = false;
+            else cell += ch;
+        } else if (ch === '"' && cell === '') {
+            quoted = true;
+        } else if (ch === delimiter) {
+            row.push(cell); cell = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell); rows.push(row); row = []; cell = '';
+        } else {
+            cell += ch;
+        }
+    }
+    if (cell !== '' || row.length > 0) { row.push(cell); rows.push(row); }
+    return rows;
+}
+
+// Текст с = + - @ или табуляцией в начале Excel выполнил бы как формулу (любой, кто может назвать
+// предмет, подсунул бы её в чужую выгрузку) — в CSV такой текст уходит с апострофом впереди,
+// а при чтении CSV апостроф снимается. Числа не трогаем: -3 остаётся числом
+const CSV_FORMULA_START = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (typeof value === 'string' && CSV_FORMULA_START.test(text)) text = "'" + text;
+    return /[";\n\r]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
+
+function csvUnescapeFormula(text) {
+    return text.startsWith("'") && CSV_FORMULA_START.test(text.slice(1)) ? text.slice(1) : text;
+}
+
+// Строки загруженного файла: CSV или первый лист XLSX. Пустые строки отбрасываются,
+// у каждой строки остаётся номер, как в таблице (заголовок — строка 1)
+async function readTable(file) {
+    let rows;
+    const isXlsx = /\.xlsx$/i.test(file.originalname || '') || file.buffer.slice(0, 2).toString() === 'PK';
+    if (isXlsx) {
+        const workbook = new ExcelJS.Workbook();
+        try {
+            await workbook.xlsx.load(file.buffer);
+        } catch (err) {
+            return { error: 'Не удалось прочитать XLSX' };
+        }
+        const sheet = workbook.worksheets[0];
+        if (!sheet) return { error: 'В файле нет листов' };
+        rows = [];
+        sheet.eachRow({ includeEmpty: true }, (row, number) => {
+            rows[number - 1] = row.values.slice(1).map(cellText);
+        });
+        rows = Array.from(rows, r => r || []);
+    } else {
+        rows = parseCsv(file.buffer.toString('utf8')).map(r => r.map(c => csvUnescapeFormula(cellText(c))));
+    }
+    const numbered = rows.map((cells, index) => ({ line: index + 1, cells })).filter(r => r.cells.some(Boolean));
+    if (numbered.length === 0) return { error: 'Таблица пустая' };
+    if (numbered.length - 1 > TABLE_MAX_ROWS) return { error: `Не больше ${TABLE_MAX_ROWS} строк за раз` };
+    const [header, ...data] = numbered;
+    return { columns: header.cells, rows: data };
+}
+
+// Сопоставление колонок по заголовкам: { <номер колонки>: назначение }
+function guessTableMapping(columns, defs) {
+    const mapping = {};
+    const used = new Set();
+    columns.forEach((title, index) => {
+        const key = normalizeSearchText(title).trim();
+        if (!key) return;
+        let target = Object.keys(TABLE_HEADER_HINTS).find(t => TABLE_HEADER_HINTS[t].includes(key));
+        if (!target && /^(уровень|level)\s*\d+$/.test(key)) target = 'level';
+        if (!target) {
+            const def = defs.find(d => d.appliesTo === 'item' && normalizeSearchText(d.name) === key);
+            if (def) target = 'field:' + def.id;
+        }
+        if (!target || (target !== 'level' && used.has(target))) return;
+        used.add(target);
+        mapping[index] = target;
+    });
+    return mapping;
+}
+
+// Сопоставление от клиента: { <номер колонки>: назначение } — { mapping } или { error }
+function parseTableMapping(raw, columns, defs) {
+    let value = raw;
+    if (typeof raw === 'string') {
+        try {
+            value = JSON.parse(raw);
+        } catch (err) {
+            return { error: 'Неверное сопоставление колонок' };
+        }
+    }
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return { error: 'Неверное сопоставление колонок' };
+    const mapping = {};
+    const used = new Set();
+    for (const [index, target] of Object.entries(value)) {
+        if (!target) continue;
+        if (!(Number(index) >= 0 && Number(index) < columns.length)) return { error: 'Неверный номер колонки' };
+        const isField = typeof target === 'string' && target.startsWith('field:');
+        if (isField && !defs.some(d => d.appliesTo === 'item' && 'field:' + d.id === target)) {
+            return { error: `Неизвестное поле: ${target.slice(6)}` };
+        }
+        if (!isField && !TABLE_TARGETS.includes(target)) return { error: `Неизвестное назначение колонки: ${target}` };
+        if (target !== 'level' && used.has(target)) return { error: 'Одно назначение выбрано для нескольких колонок' };
+        used.add(target);
+        mapping[index] = target;
+    }
+    if (!used.has('name')) return { error: 'Укажите колонку с названием' };
+    if (used.has('path') && used.has('level')) return { error: 'Путь задаётся одной колонкой или уровнями, не тем и другим' };
+    return { mapping };
+}
+
+// Дата из таблицы: 'ГГГГ-ММ-ДД' или 'ДД.ММ.ГГГГ'
+function tableDay(text) {
+    const ru = /^(\d{1,2})\.(\d{1,2})\.(\d{4})$/.exec(text);
+    return parseDay(ru ? `${ru[3]}-${ru[2].padStart(2, '0')}-${ru[1].padStart(2, '0')}` : text);
+}
+
+function tableInteger(text) {
+    const number = Number(text.replace(/\s/g, '').replace(',', '.'));
+    return Number.isInteger(number) && number >= 0 ? number : undefined;
+}
+
+// Следующий свободный номер среди детей parentId, как getNextContainerNumber на клиенте
+function nextContainerNumber(parentId, containers) {
+    const used = new Set(containers.filter(c => (c.parent || null) === parentId).map(c => parseInt(c.number) || 0));
+    let next = 1;
+    while (used.has(next)) next++;
+    return String(next).padStart(4, '0');
+}
+
+// План импорта таблицы: что создать и обновить, ошибки по строкам. Ничего не меняет.
+// Предмет ищется по названию (без регистра) в контейнере из пути; контейнеры пути, которых нет, создаются
+async function planTableImport(table, mapping, options, user) {
+    const defs = await db.collection('fields').find().toArray();
+    const roles = await getContainerRoles(user);
+    const allContainers = await db.collection('containers').find().toArray();
+    const containers = allContainers.filter(c => roles.has(c.id));
+    const items = (await db.collection('items').find().toArray()).filter(i => roles.has(i.container));
+    const categories = await db.collection('categories').find().toArray();
+    const categoryByName = new Map(categories.map(c => [normalizeSearchText(c.name).trim(), c.id]));
+    const columnsOf = target => Object.keys(mapping).filter(i => mapping[i] === target).map(Number).sort((a, b) => a - b);
+    const single = target => columnsOf(target)[0];
+    const fieldColumns = Object.keys(mapping).filter(i => mapping[i].startsWith('field:'))
+        .map(i => ({ index: Number(i), def: defs.find(d => 'field:' + d.id === mapping[i]) }));
+
+    // Контейнеры плана: существующие (доступные) и новые; ключ — родитель + имя без регистра
+    const known = containers.slice();
+    const newContainers = [];
+    const childKey = (parentId, name) => `${parentId || ''}\u0000${normalizeSearchText(name).trim()}`;
+    const byChildKey = new Map();
+    known.slice().sort((a, b) => String(a.number).localeCompare(String(b.number))).forEach(c => {
+        if (!byChildKey.has(childKey(c.parent, c.name))) byChildKey.set(childKey(c.parent, c.name), c);
+    });
+    // id контейнера по пути от options.root. Недостающие контейнеры возвращаются в created —
+    // в план они попадают через addContainers, только если строка без ошибок
+    const resolvePath = names => {
+        let parentId = options.root;
+        const created = [];
+        for (const name of names) {
+            let container = byChildKey.get(childKey(parentId, name)) ||
+                created.find(c => c.parent === parentId && childKey(c.parent, c.name) === childKey(parentId, name));
+            if (!container) {
+                const parentIsNew = created.some(c => c.id === parentId) || newContainers.some(c => c.id === parentId);
+                if (!parentIsNew && !placementAllowed(user, roles, parentId, { ownerId: user.id })) {
+                    return { error: `Нет прав создавать контейнеры в «${parentId ? known.find(c => c.id === parentId).name : 'Главная'}»` };
+                }
+                const parent = known.concat(created).find(c => c.id === parentId);
+                container = {
+                    id: newImportId('c'),
+                    name: name.slice(0, 200),
+                    number: nextContainerNumber(parentId, known.concat(created)),
+                    ...photoFields([]),
+                    parent: parentId,
+                    ownerId: (parent && parent.ownerId) || user.id
+                };
+                created.push(container);
+            }
+            parentId = container.id;
+        }
+        if (!parentId) return { error: 'Не указан контейнер' };
+        if (created.length === 0 && !newContainers.some(c => c.id === parentId) && !roleAllows(roles.get(parentId), 'edit')) {
+            return { error: 'Нет прав на контейнер' };
+        }
+        return { containerId: parentId, created };
+    };
+    const addContainers = created => created.forEach(c => {
+        known.push(c);
+        newContainers.push(c);
+        byChildKey.set(childKey(c.parent, c.name), c);
+    });
+
+    const newCategories = [];
+    const categoryId = name => {
+        const key = normalizeSearchText(name).trim();
+        if (!categoryByName.has(key)) {
+            const category = { id: newImportId('cat'), name: name.slice(0, 100), icon: '📁' };
+            newCategories.push(category);
+            categoryByName.set(key, category.id);
+        }
+        return categoryByName.get(key);
+    };
+
+    const itemKey = (containerId, name) => `${containerId}\u0000${normalizeSearchText(name).trim()}`;
+    const existingByKey = new Map();
+    items.forEach(i => {
+        const key = itemKey(i.container, i.name);
+        existingByKey.set(key, existingByKey.has(key) ? 'duplicate' : i);
+    });
+    const seenRows = new Map();
+    const creates = [];
+    const updates = [];
+    const errors = [];
+    let unchanged = 0;
+    const preview = [];
+
+    for (const row of table.rows) {
+        const cell = index => (index === undefined ? '' : (row.cells[index] || '').trim());
+        const fail = error => errors.push({ line: row.line, name: cell(single('name')), error });
+        const name = cell(single('name'));
+        if (!name) { fail('Нет названия'); continue; }
+
+        let names = [];
+        if (single('path') !== undefined) {
+            names = cell(single('path')).split(options.separator).map(n => n.trim()).filter(Boolean);
+            // Путь из нашей же выгрузки может начинаться с «Главная»
+            if (names.length && normalizeSearchText(names[0]) === 'главная') names.shift();
+        } else {
+            names = columnsOf('level').map(cell).filter(Boolean);
+        }
+        const place = resolvePath(names);
+        if (place.error) { fail(place.error); continue; }
+
+        const values = {};
+        if (single('quantity') !== undefined && cell(single('quantity'))) {
+            values.quantity = tableInteger(cell(single('quantity')));
+            if (values.quantity === undefined) { fail('Количество должно быть целым неотрицательным числом'); continue; }
+        }
+        if (single('minQuantity') !== undefined && cell(single('minQuantity'))) {
+            values.minQuantity = tableInteger(cell(single('minQuantity')));
+            if (values.minQuantity === undefined) { fail('Мин. количество должно быть целым неотрицательным числом'); continue; }
+        }
+        const categoryName = single('category') !== undefined ? cell(single('category')) : '';
+        if (single('tags') !== undefined && cell(single('tags'))) {
+            const { tags, error } = normalizeTags(cell(single('tags')).split(','));
+            if (error) { fail(error); continue; }
+            values.tags = tags;
+        }
+        if (single('barcodes') !== undefined && cell(single('barcodes'))) {
+            const { barcodes, error } = normalizeBarcodes(cell(single('barcodes')).split(/[,;]/));
+            if (error) { fail(error); continue; }
+            values.barcodes = barcodes;
+        }
+        const fields = {};
+        let fieldError = null;
+        for (const { index, def } of fieldColumns) {
+            const text = cell(index);
+            if (!text) continue;
+            const raw = def.type === 'date' ? tableDay(text) : def.type === 'number' ? text.replace(/\s/g, '').replace(',', '.') : text;
+            const value = raw ? fieldValue(def, raw) : undefined;
+            if (value === undefined) { fieldError = `Неверное значение поля «${def.name}»`; break; }
+            fields[def.id] = value;
+        }
+        if (fieldError) { fail(fieldError); continue; }
+
+        const key = itemKey(place.containerId, name);
+        if (seenRows.has(key)) { fail(`Этот предмет уже есть в строке ${seenRows.get(key)}`); continue; }
+        seenRows.set(key, row.line);
+        const existing = existingByKey.get(key);
+        if (existing === 'duplicate') { fail(`В контейнере несколько предметов «${name}»`); continue; }
+        // Пустые ячейки значения не меняют
+        const update = {};
+        if (existing && values.quantity !== undefined) {
+            const quantity = options.quantityMode === 'add' ? existing.quantity + values.quantity : values.quantity;
+            if (hasBatches(existing)) {
+                if (options.quantityMode !== 'add') {
+                    if (quantity !== existing.quantity) { fail('Количество считается по партиям — используйте режим «добавить»'); continue; }
+                } else if (values.quantity > 0) {
+                    update.batches = putIntoBatches(batchesOf(existing), values.quantity, null);
+                    update.quantity = batchTotal(update.batches);
+                }
+            } else if (quantity !== existing.quantity) {
+                update.quantity = quantity;
+            }
+            if (update.quantity !== undefined && update.quantity < (existing.loaned || 0)) {
+                fail(`Выдано ${existing.loaned} шт. — количество не может быть меньше`);
+                continue;
+            }
+        }
+
+        if (categoryName && !user.isAdmin && !categoryByName.has(normalizeSearchText(categoryName).trim())) {
+            fail(`Нет категории «${categoryName}» — новые категории добавляет админ`);
+            continue;
+        }
+
+        // Дальше строка без ошибок: только теперь её контейнеры и категория попадают в план
+        addContainers(place.created);
+        if (categoryName) values.category = categoryId(categoryName);
+        const path = pathText(containerPath(place.containerId, new Map(known.map(c => [c.id, c]))));
+
+        if (!existing) {
+            const item = {
+                id: newImportId('i'),
+                name: name.slice(0, 200),
+                quantity: values.quantity === undefined ? 1 : values.quantity,
+                minQuantity: values.minQuantity || 0,
+                category: values.category || null,
+                ...photoFields([]),
+                container: place.containerId,
+                ...(Object.keys(fields).length ? { fields } : {}),
+                ...(values.tags ? { tags: values.tags } : {}),
+                ...(values.barcodes ? { barcodes: values.barcodes } : {})
+            };
+            creates.push(item);
+            if (preview.length < TABLE_PREVIEW_ROWS) preview.push({ line: row.line, action: 'create', name: item.name, path, quantity: item.quantity });
+            continue;
+        }
+
+        if (values.minQuantity !== undefined) update.minQuantity = values.minQuantity;
+        if (values.category !== undefined) update.category = values.category;
+        if (values.tags) update.tags = values.tags;
+        if (values.barcodes) update.barcodes = values.barcodes;
+        if (Object.keys(fields).length) update.fields = { ...(existing.fields || {}), ...fields };
+        const changes = diffFields(existing, update, ITEM_TRACKED_FIELDS);
+        if (Object.keys(changes).length === 0) { unchanged++; continue; }
+        updates.push({ item: existing, update, changes });
+        if (preview.length < TABLE_PREVIEW_ROWS) {
+            preview.push({ line: row.line, action: 'update', name: existing.name, path, quantity: update.quantity !== undefined ? update.quantity : existing.quantity, from: existing.quantity });
+        }
+    }
+
+    return {
+        creates,
+        updates,
+        containers: newContainers,
+        categories: newCategories,
+        report: {
+            rows: table.rows.length,
+            create: creates.length,
+            update: updates.length,
+            unchanged,
+            errors,
+            containers: newContainers.map(c => pathText(containerPath(c.id, new Map(known.map(k => [k.id, k]))))),
+            categories: newCategories.map(c => c.name),
+            preview
+        }
+    };
+}
+
+// Выполнить план: контейнеры (родители раньше детей — так они и добавлялись), категории, предметы.
+// Каждое изменение попадает в журнал; предмет, изменённый с момента проверки, пропускается
+async function applyTableImport(plan, req, quantityMode) {
+    const comment = 'Импорт из таблицы';
+    const now = new Date().toISOString();
+    for (const container of plan.containers) {
+        const doc = { ...container, created: now, rev: await nextRev() };
+        await db.collection('containers').insertOne(doc);
+        await recordHistory(req, containerHistoryEntry('create', doc, { comment }));
+    }
+    if (plan.categories.length) {
+        const last = await db.collection('categories').find().sort({ order: -1 }).limit(1).toArray();
+        let order = last.length > 0 ? last[0].order : 0;
+        for (const category of plan.categories) {
+            const doc = { ...category, order: ++order, rev: await nextRev() };
+            await db.collection('categories').insertOne(doc);
+            publishChange(req, { objectType: 'category', objectId: doc.id, objectName: doc.name, action: 'create', containerIds: null });
+        }
+    }
+    for (const item of plan.creates) {
+        const doc = { ...item, created: now, rev: await nextRev() };
+        await db.collection('items').insertOne(doc);
+        await recordHistory(req, itemHistoryEntry('create', doc, { quantityDelta: doc.quantity, reason: 'restock', comment }));
+        await learnProducts(doc, req.user);
+        await syncShoppingLine(doc);
+    }
+    const skipped = [];
+    for (const { item, update, changes } of plan.updates) {
+        const result = await db.collection('items').updateOne({ id: item.id, rev: item.rev }, { $set: { ...update, rev: await nextRev() } });
+        if (result.matchedCount === 0) { skipped.push(item.name); continue; }
+        const quantityDelta = changes.quantity ? changes.quantity.to - changes.quantity.from : 0;
+        await recordHistory(req, itemHistoryEntry('update', { ...item, ...update }, {
+            changes,
+            quantityDelta,
+            reason: quantityDelta === 0 ? null : quantityMode === 'add' ? 'restock' : 'correction',
+            comment
+        }));
+        if (PRODUCT_SOURCE_FIELDS.some(field => changes[field])) await learnProducts({ ...item, ...update }, req.user);
+    }
+    for (const { item, update } of plan.updates) {
+        if (skipped.includes(item.name)) continue;
+        await syncShoppingLine({ ...item, ...update });
+        notifyInBackground(notifyLowStock(item, { ...item, ...update }));
+    }
+    return skipped;
+}
+
+// GET /api/table/export — выгрузка предметов в CSV или XLSX: путь, количество, категория, теги,
+// ближайший срок годности и дополнительные поля. Область — container (поддерево) и фильтры как у /search
+app.get('/table/export', authMiddleware, async (req, res) => {
+    try {
+        const format = req.query.format || 'xlsx';
+        if (!TABLE_FORMATS.includes(format)) return res.status(400).json({ error: 'Формат: csv или xlsx' });
+        const { filters, error } = await parseSearchFilters(req.query);
+        if (error) return res.status(400).json({ error });
+        const roles = await getContainerRoles(req.user);
+        const containers = (await db.collection('containers').find().toArray()).filter(c => roles.has(c.id));
+        const byId = new Map(containers.map(c => [c.id, c]));
+        let scope = null;
+        if (req.query.container) {
+            if (!byId.has(req.query.container)) return res.status(403).json({ error: 'Нет доступа к контейнеру' });
+            scope = getSubtreeIds(req.query.container, containers);
+        }
+        const categories = new Map((await db.collection('categories').find().toArray()).map(c => [c.id, c.name]));
+        const defs = (await db.collection('fields').find().sort({ order: 1 }).toArray()).filter(d => d.appliesTo === 'item');
+        const items = (await db.collection('items').find().toArray())
+            .filter(i => byId.has(i.container) && (!scope || scope.has(i.container)) && filters.matchesItem(i, byId.get(i.container)))
+            .filter(i => scoreText(filters.tokens, searchableText(i, 'item', filters.textFieldIds)) > 0)
+            .map(i => ({ item: i, path: containerPath(i.container, byId).map(p => p.name).join(PATH_SEPARATOR) }))
+            .sort((a, b) => a.path.localeCompare(b.path, 'ru') || a.item.name.localeCompare(b.item.name, 'ru'));
+
+        const header = ['Путь', 'Название', 'Количество', 'Мин. количество', 'Выдано', 'Категория', 'Теги', 'Штрихкоды', 'Годен до', ...defs.map(d => d.name), 'ID'];
+        const rows = items.map(({ item, path }) => {
+            const nearest = hasBatches(item) ? item.batches.slice().sort(compareBatches)[0].expiresAt : null;
+            return [
+                path,
+                item.name,
+                item.quantity,
+                item.minQuantity || 0,
+                item.loaned || 0,
+                categories.get(item.category) || '',
+                (item.tags || []).join(', '),
+                (item.barcodes || []).join(', '),
+                nearest || '',
+                ...defs.map(d => {
+                    const value = (item.fields || {})[d.id];
+                    return value === undefined || value === null ? '' : value;
+                }),
+                item.id
+            ];
+        });
+        const fileName = `skladito-items-${new Date().toISOString().slice(0, 10)}.${format}`;
+        res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+        if (format === 'csv') {
+            // BOM и «;» — чтобы Excel с русской локалью открыл файл без мастера импорта
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            return res.send('\uFEFF' + [header, ...rows].map(r => r.map(csvCell).join(';')).join('\r\n') + '\r\n');
+        }
+        const workbook = new ExcelJS.Workbook();
+        const sheet = workbook.addWorksheet('Предметы');
+        sheet.columns = header.map((title, index) => ({ header: title, width: index === 0 ? 40 : index === 1 ? 30 : 14 }));
+        sheet.getRow(1).font = { bold: true };
+        sheet.views = [{ state: 'frozen', ySplit: 1 }];
+        rows.forEach(r => sheet.addRow(r));
+        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        res.send(Buffer.from(await workbook.xlsx.writeBuffer()));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// POST /api/table/import — импорт предметов из CSV/XLSX (multipart, поле file).
+// mapping — JSON { <номер колонки>: path | level | name | quantity | minQuantity | category | tags | field:<id> },
+// без него колонки узнаются по заголовкам; root — куда класть пути (по умолчанию корень);
+// separator — разделитель в колонке пути (по умолчанию «>»); quantityMode — set (заменить) или add (прибавить);
+// dryRun — только отчёт. Строки с ошибками пропускаются, остальные импортируются
+app.post('/table/import', authMiddleware, (req, res, next) => {
+    tableUpload.single('file')(req, res, err => {
+        if (err) return res.status(400).json({ error: 'Ошибка загрузки: ' + err.message });
+        next();
+    });
+}, async (req, res) => {
+    try {
+        if (!req.file) return res.status(400).json({ error: 'Загрузите файл CSV или XLSX' });
+        const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+        const quantityMode = req.body.quantityMode || 'set';
+        if (!TABLE_QUANTITY_MODES.includes(quantityMode)) return res.status(400).json({ error: 'Неизвестный режим количества' });
+        const separator = String(req.body.separator || '>').trim() || '>';
+        const root = req.body.root || null;
+        if (root && !await checkContainerAccess(req, res, root, 'edit')) return;
+
+        const table = await readTable(req.file);
+        if (table.error) return res.status(400).json({ error: table.error });
+        const defs = await db.collection('fields').find().toArray();
+        let mapping;
+        if (req.body.mapping) {
+            const parsed = parseTableMapping(req.body.mapping, table.columns, defs);
+            if (parsed.error) return res.status(400).json({ error: parsed.error });
+            mapping = parsed.mapping;
+        } else {
+            mapping = guessTableMapping(table.columns, defs);
+        }
+        const columns = { columns: table.columns, mapping };
+        if (!Object.values(mapping).includes('name')) {
+            return res.status(400).json({ error: 'Не найдена колонка с названием — укажите сопоставление', ...columns });
+        }
+
+        const plan = await planTableImport(table, mapping, { root, separator, quantityMode }, req.user);
+        if (dryRun) return res.json({ dryRun: true, ...columns, report: plan.report });
+        const skipped = await applyTableImport(plan, req, quantityMode);
+        res.json({ dryRun: false, ...columns, report: { ...plan.report, skipped } });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// === ОТЧЁТЫ ===
+
+// Отчёты считаются только по доступному пользователю (как /search), ?container= — по поддереву.
+// Цена — дополнительное поле f_price (за штуку), вместимость контейнера — f_capacity (в штуках).
+// С ?format=csv любой отчёт отдаётся таблицей, как /table/export
+const PRICE_FIELD_ID = 'f_price';
+const CAPACITY_FIELD_ID = 'f_capacity';
+const REPORT_BUCKETS = ['day', 'week', 'month'];
+const REPORT_MAX_DAYS = 3650;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Видимые контейнеры и предметы в области отчёта; error — нет доступа к container
+async function reportScope(req) {
+    const roles = await getContainerRoles(req.user);
+    const visible = (await db.collection('containers').find().toArray()).filter(c => roles.has(c.id));
+    const byId = new Map(visible.map(c => [c.id, c]));
+    let scope = null;
+    if (req.query.container) {
+        if (!byId.has(req.query.container)) return { error: 'Нет доступа к контейнеру' };
+        scope = getSubtreeIds(req.query.container, visible);
+    }
+    const inScope = id => byId.has(id) && (!scope || scope.has(id));
+    const containers = visible.filter(c => inScope(c.id));
+    const items = (await db.collection('items').find().toArray()).filter(i => inScope(i.container));
+    return { byId, containers, items };
+}
+
+// Период в днях из запроса; undefined — неверное значение
+function reportDays(value, fallback) {
+    if (value === undefined || value === '') return fallback;
+    const days = Number(value);
+    return Number.isInteger(days) && days >= 1 && days <= REPORT_MAX_DAYS ? days : undefined;
+}
+
+function roundMoney(value) {
+    return Math.round(value * 100) / 100;
+}
+
+// Стоимость позиции; null — цена не указана
+function itemValue(item) {
+    const price = (item.fields || {})[PRICE_FIELD_ID];
+    return typeof price === 'number' ? roundMoney(price * item.quantity) : null;
+}
+
+// Сумма по предметам: позиций, штук, стоимость известных цен и сколько позиций без цены
+function emptyTotals() {
+    return { items: 0, quantity: 0, value: 0, unpriced: 0 };
+}
+
+function addTotals(totals, item) {
+    const value = itemValue(item);
+    totals.items++;
+    totals.quantity += item.quantity;
+    if (value === null) totals.unpriced++;
+    else totals.value = roundMoney(totals.value + value);
+    return totals;
+}
+
+function sendReport(req, res, name, data, header, rows) {
+    if (req.query.format !== 'csv') return res.json(data);
+    res.setHeader('Content-Disposition', `attachment; filename="skladito-${name}-${new Date().toISOString().slice(0, 10)}.csv"`);
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.send('\uFEFF' + [header, ...rows].map(r => r.map(csvCell).join(';')).join('\r\n') + '\r\n');
+}
+
+// GET /api/reports/summary — сколько всего: контейнеров, позиций, штук, выдано, ниже минимума, стоимость
+app.get('/reports/summary', authMiddleware, async (req, res) => {
+    try {
+        const { containers, items, error } = await reportScope(req);
+        if (error) return res.status(403).json({ error });
+        const totals = items.reduce(addTotals, emptyTotals());
+        const data = {
+            containers: containers.length,
+            ...totals,
+            loaned: items.reduce((sum, i) => sum + (i.loaned || 0), 0),
+            belowMin: items.filter(isBelowMin).length
+        };
+        sendReport(req, res, 'summary', data, ['Показатель', 'Значение'], [
+            ['Контейнеров', data.containers],
+            ['Позиций', data.items],
+            ['Штук', data.quantity],
+            ['Выдано', data.loaned],
+            ['Ниже минимума', data.belowMin],
+            ['Стоимость', data.value],
+            ['Позиций без цены', data.unpriced]
+        ]);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// GET /api/reports/categories — позиции, штуки и стоимость по категориям, больше всего штук — первыми
+app.get('/reports/categories', authMiddleware, async (req, res) => {
+    try {
+        const { items, error } = await reportScope(req);
+        if (error) return res.status(403).json({ error });
+        const categories = await db.collection('categories').find().sort({ order: 1 }).toArray();
+        const rows = new Map(categories.map(c => [c.id, { category: c.id, name: c.name, icon: c.icon, ...emptyTotals() }]));
+        items.forEach(item => {
+            const key = rows.has(item.category) ? item.category : null;
+            if (!rows.has(key)) rows.set(key, { category: null, name: 'Без категории', icon: null, ...emptyTotals() });
+            addTotals(rows.get(key), item);
+        });
+        const data = [...rows.values()].sort((a, b) => b.quantity - a.quantity || b.items - a.items);
+        sendReport(req, res, 'categories', data, ['Категория', 'Позиций', 'Штук', 'Стоимость', 'Позиций без цены'],
+            data.map(r => [r.name, r.items, r.quantity, r.value, r.unpriced]));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// GET /api/reports/containers — каждый контейнер: что лежит прямо в нём и во всём поддереве, стоимость
+// и заполненность (штук прямо в контейнере / вместимость, %). depth 0 — верхний уровень (комнаты)
+app.get('/reports/containers', authMiddleware, async (req, res) => {
+    try {
+        const { byId, containers, items, error } = await reportScope(req);
+        if (error) return res.status(403).json({ error });
+        const inReport = new Set(containers.map(c => c.id));
+        const direct = new Map(containers.map(c => [c.id, emptyTotals()]));
+        items.forEach(item => addTotals(direct.get(item.container), item));
+
+        const children = new Map();
+        containers.forEach(c => {
+            const parent = inReport.has(c.parent) ? c.parent : null;
+            if (!children.has(parent)) children.set(parent, []);
+            children.get(parent).push(c);
+        });
+        const data = [];
+        function walk(container, depth) {
+            const own = direct.get(container.id);
+            const row = {
+                id: container.id,
+                number: container.number || null,
+                name: container.name,
+                path: pathText(containerPath(container.id, byId)),
+                depth,
+                ...own,
+                total: { ...own },
+                capacity: null,
+                fill: null
+            };
+            data.push(row);
+            for (const child of children.get(container.id) || []) {
+                const sub = walk(child, depth + 1).total;
+                row.total.items += sub.items;
+                row.total.quantity += sub.quantity;
+                row.total.value = roundMoney(row.total.value + sub.value);
+                row.total.unpriced += sub.unpriced;
+            }
+            const capacity = (container.fields || {})[CAPACITY_FIELD_ID];
+            if (typeof capacity === 'number' && capacity > 0) {
+                row.capacity = capacity;
+                row.fill = Math.round(own.quantity / capacity * 100);
+            }
+            return row;
+        }
+        (children.get(null) || []).forEach(c => walk(c, 0));
+        data.sort((a, b) => a.path.localeCompare(b.path, 'ru'));
+        sendReport(req, res, 'containers', data,
+            ['Путь', 'Номер', 'Позиций', 'Штук', 'Стоимость', 'Позиций всего', 'Штук всего', 'Стоимость всего', 'Вместимость', 'Заполнен, %'],
+            data.map(r => [r.path, r.number, r.items, r.quantity, r.value, r.total.items, r.total.quantity, r.total.value, r.capacity, r.fill]));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Последнее изменение по журналу для каждого контейнера: сам контейнер, вложенные в него коробки и предметы
+async function lastActivityByContainer(ids) {
+    const last = new Map();
+    const records = await db.collection('history').find({ containerIds: { $in: ids } }).project({ at: 1, containerIds: 1 }).toArray();
+    records.forEach(r => r.containerIds.forEach(id => {
+        if (!last.has(id) || last.get(id) < r.at) last.set(id, r.at);
+    }));
+    return last;
+}
+
+// GET /api/reports/stale — контейнеры без изменений за ?days= дней (по умолчанию 365), давно забытые первыми
+app.get('/reports/stale', authMiddleware, async (req, res) => {
+    try {
+        const days = reportDays(req.query.days, 365);
+        if (days === undefined) return res.status(400).json({ error: `Период — от 1 до ${REPORT_MAX_DAYS} дней` });
+        const { byId, containers, items, error } = await reportScope(req);
+        if (error) return res.status(403).json({ error });
+        const cutoff = new Date(Date.now() - days * DAY_MS);
+        const last = await lastActivityByContainer(containers.map(c => c.id));
+        const data = containers
+            .map(c => {
+                // В старых базах журнала нет — тогда считается дата создания
+                const created = c.created ? new Date(c.created) : null;
+                const history = last.get(c.id) || null;
+                const lastActivity = history && (!created || history > created) ? history : created;
+                const own = items.filter(i => i.container === c.id);
+                return {
+                    id: c.id,
+                    number: c.number || null,
+                    name: c.name,
+                    path: pathText(containerPath(c.id, byId)),
+                    lastActivity,
+                    idleDays: lastActivity ? Math.floor((Date.now() - lastActivity) / DAY_MS) : null,
+                    items: own.length,
+                    quantity: own.reduce((sum, i) => sum + i.quantity, 0)
+                };
+            })
+            .filter(c => !c.lastActivity || c.lastActivity < cutoff)
+            .sort((a, b) => (a.lastActivity || 0) - (b.lastActivity || 0));
+        sendReport(req, res, 'stale', data, ['Путь', 'Номер', 'Последнее изменение', 'Дней без изменений', 'Позиций', 'Штук'],
+            data.map(r => [r.path, r.number, r.lastActivity ? localDay(r.lastActivity) : '', r.idleDays, r.items, r.quantity]));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Начало периода графика: день, неделя (с понедельника) или месяц — 'ГГГГ-ММ-ДД' по местному времени
+function bucketStart(date, bucket) {
+    const d = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    if (bucket === 'week') d.setDate(d.getDate() - (d.getDay() + 6) % 7);
+    if (bucket === 'month') d.setDate(1);
+    return localDay(d);
+}
+
+// GET /api/reports/consumption — списания и пополнения за ?days= дней (по умолчанию 90): график по ?bucket=
+// (day | week | month) и расход по предметам — в неделю и на сколько дней хватит остатка. ?category= — одна
+// категория. CSV — по предметам, с ?table=buckets — график
+app.get('/reports/consumption', authMiddleware, async (req, res) => {
+    try {
+        const days = reportDays(req.query.days, 90);
+        if (days === undefined) return res.status(400).json({ error: `Период — от 1 до ${REPORT_MAX_DAYS} дней` });
+        const bucket = req.query.bucket || (days > 180 ? 'month' : days > 31 ? 'week' : 'day');
+        if (!REPORT_BUCKETS.includes(bucket)) return res.status(400).json({ error: 'Шаг графика: day, week или month' });
+        const { byId, containers, items, error } = await reportScope(req);
+        if (error) return res.status(403).json({ error });
+        const category = req.query.category || null;
+        const itemsById = new Map(items.map(i => [i.id, i]));
+
+        const now = new Date();
+        const since = new Date(now.getTime() - days * DAY_MS);
+        const buckets = new Map();
+        for (let d = new Date(since); d <= now; d.setDate(d.getDate() + 1)) {
+            const start = bucketStart(d, bucket);
+            if (!buckets.has(start)) buckets.set(start, { start, writtenOff: 0, restocked: 0 });
+        }
+        const records = await db.collection('history')
+            .find({ objectType: 'item', at: { $gte: since }, containerIds: { $in: containers.map(c => c.id) } })
+            .toArray();
+        const perItem = new Map();
+        for (const r of records) {
+            const writtenOff = r.reason === 'writeoff' && r.quantityDelta < 0 ? -r.quantityDelta : 0;
+            // Создание предмета — первоначальный ввод остатков, а не пополнение
+            const restocked = r.reason === 'restock' && r.quantityDelta > 0 && r.action !== 'create' ? r.quantityDelta : 0;
+            if (!writtenOff && !restocked) continue;
+            // Удалённые предметы в расход входят, но без фильтра по категории их не отличить
+            const item = itemsById.get(r.objectId) || null;
+            if (category && (!item || item.category !== category)) continue;
+            const point = buckets.get(bucketStart(r.at, bucket));
+            if (point) {
+                point.writtenOff += writtenOff;
+                point.restocked += restocked;
+            }
+            if (!perItem.has(r.objectId)) {
+                perItem.set(r.objectId, {
+                    id: r.objectId,
+                    name: item ? item.name : r.objectName,
+                    path: item ? pathText(containerPath(item.container, byId)) : null,
+                    category: item ? item.category : null,
+                    quantity: item ? item.quantity : null,
+                    writtenOff: 0,
+                    restocked: 0
+                });
+            }
+            const row = perItem.get(r.objectId);
+            row.writtenOff += writtenOff;
+            row.restocked += restocked;
+        }
+        const rows = [...perItem.values()].map(row => {
+            const perDay = row.writtenOff / days;
+            return {
+                ...row,
+                perWeek: Math.round(perDay * 7 * 10) / 10,
+                daysLeft: perDay > 0 && row.quantity !== null ? Math.floor(row.quantity / perDay) : null
+            };
+        }).sort((a, b) => b.writtenOff - a.writtenOff || b.restocked - a.restocked);
+        const data = {
+            days,
+            bucket,
+            from: since,
+            totals: {
+                writtenOff: rows.reduce((sum, r) => sum + r.writtenOff, 0),
+                restocked: rows.reduce((sum, r) => sum + r.restocked, 0)
+            },
+            buckets: [...buckets.values()],
+            items: rows
+        };
+        if (req.query.table === 'buckets') {
+            return sendReport(req, res, 'consumption-timeline', data, ['Период с', 'Списано', 'Пополнено'],
+                data.buckets.map(b => [b.start, b.writtenOff, b.restocked]));
+        }
+        sendReport(req, res, 'consumption', data, ['Название', 'Путь', 'Списано', 'Пополнено', 'Списывается в неделю', 'Остаток', 'Хватит на дней'],
+            rows.map(r => [r.name, r.path || 'удалён', r.writtenOff, r.restocked, r.perWeek, r.quantity, r.daysLeft]));
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
@@ -533,4 +5727,9 @@ connectDB().then(() => {
     app.listen(PORT, () => {
         console.log(`🚀 SKLADITO API running on port ${PORT}`);
     });
+    scheduleBackups().catch(err => console.error('❌ Backup scheduling failed:', err.message));
+    scheduleTrashPurge();
+    schedulePhotoCleanup();
+    scheduleLivePing();
+    scheduleNotifications();
 });
@@ -0,0 +1,460 @@
+const express = require('express');
+const { MongoClient } = require('mongodb');
+const cors = require('cors');
+const crypto = require('crypto');
+
+// Сервис токенов Phone-версии: коды приглашения, промокоды, баланс.
+// Баланс ведёт только сервер — в localStorage телефона лежит лишь его копия для показа.
+// Коды ошибок (error) — на английском: Phone сопоставляет их со своими сообщениями
+
+const app = express();
+const PORT = Number(process.env.PORT || 3001);
+const MONGO_URI = process.env.MONGO_URI || 'mongodb://warehouse-db:27017/skladito-referral';
+// Токен администратора промокодов; не задан — админские маршруты закрыты
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || '';
+
+// Начисления
+const START_TOKENS = Number(process.env.START_TOKENS || 10);          // как getTokens() в Phone по умолчанию
+const REFERRER_TOKENS = Number(process.env.REFERRER_TOKENS || 5);     // пригласившему
+const REFERRED_TOKENS = Number(process.env.REFERRED_TOKENS || 5);     // приглашённому
+const MAX_REWARDED_REFERRALS = Number(process.env.MAX_REWARDED_REFERRALS || 50);
+const REFERRAL_WINDOW_DAYS = 7;        // код приглашения принимается только от новых пользователей
+
+// Защита от злоупотреблений (счётчики в памяти процесса)
+const REQUESTS_PER_MINUTE = 60;        // с одного IP на все маршруты
+const REGISTRATIONS_PER_IP_DAY = 5;
+const CODE_MAX_FAILURES = 20;          // неверных кодов с одного IP за окно
+const CODE_FAILURE_WINDOW_MINUTES = 60;
+
+// Коды без похожих символов (0/O, 1/I), чтобы их можно было продиктовать
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const REFERRAL_CODE_LENGTH = 6;
+const PROMO_CODE_PATTERN = /^[A-Z0-9_-]{3,32}$/;
+const USER_ID_PATTERN = /^[A-Za-z0-9_-]{6,80}$/;
+
+// Перед сервисом стоит nginx — IP клиента берём из X-Forwarded-For, но только от него: по лимитам с IP
+// считаются регистрации и попытки кодов. По умолчанию — localhost и подсети Docker; свои адреса — в TRUST_PROXY
+app.set('trust proxy', process.env.TRUST_PROXY || 'loopback, 172.16.0.0/12');
+app.use(cors());
+app.use(express.json({ limit: '10kb' }));
+
+let db;
+
+function generateKey() {
+    return crypto.randomBytes(24).toString('hex');
+}
+
+function hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function sameSecret(a, b) {
+    const left = Buffer.from(String(a));
+    const right = Buffer.from(String(b));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function randomCode(length) {
+    const bytes = crypto.randomBytes(length);
+    return Array.from(bytes, b => CODE_ALPHABET[b % CODE_ALPHABET.length]).join('');
+}
+
+function normalizeCode(value) {
+    return String(value || '').trim().toUpperCase();
+}
+
+// Ключ из заголовка Authorization: Bearer <ключ>
+function bearerToken(req) {
+    const header = req.headers.authorization || '';
+    return header.startsWith('Bearer ') ? header.slice(7).trim() : '';
+}
+
+// === ЗАЩИТА ОТ ЗЛОУПОТРЕБЛЕНИЙ ===
+
+// Окно со счётчиком: { count, resetAt } на ключ
+const requestCounters = new Map();
+const registrationCounters = new Map();
+const codeFailures = new Map();
+
+function hit(counters, key, windowMs) {
+    let entry = counters.get(key);
+    if (!entry || entry.resetAt < Date.now()) {
+        entry = { count: 0, resetAt: Date.now() + windowMs };
+        counters.set(key, entry);
+    }
+    entry.count++;
+    return entry.count;
+}
+
+function counted(counters, key) {
+    const entry = counters.get(key);
+    return entry && entry.resetAt >= Date.now() ? entry.count : 0;
+}
+
+// Старые окна выбрасываем, чтобы счётчики не росли бесконечно
+setInterval(() => {
+    const now = Date.now();
+    for (const counters of [requestCounters, registrationCounters, codeFailures]) {
+        for (const [key, entry] of counters) if (entry.resetAt < now) counters.delete(key);
+    }
+}, 10 * 60 * 1000).unref();
+
+app.use((req, res, next) => {
+    if (hit(requestCounters, req.ip, 60 * 1000) > REQUESTS_PER_MINUTE) {
+        return res.status(429).json({ error: 'Too many requests' });
+    }
+    next();
+});
+
+// Подбор кодов: после CODE_MAX_FAILURES неверных попыток IP ждёт до конца окна
+function codeAttemptsBlocked(req, res) {
+    if (counted(codeFailures, req.ip) < CODE_MAX_FAILURES) return false;
+    res.status(429).json({ error: 'Too many attempts' });
+    return true;
+}
+
+function registerCodeFailure(req) {
+    hit(codeFailures, req.ip, CODE_FAILURE_WINDOW_MINUTES * 60 * 1000);
+}
+
+// === ПОЛЬЗОВАТЕЛИ И БАЛАНС ===
+
+// Пользователь Phone — id из localStorage (getUserId) и ключ, выданный при регистрации
+async function userAuth(req, res, next) {
+    try {
+        const userId = String(req.query.user || (req.body && req.body.user) || '');
+        const key = bearerToken(req);
+        if (!userId || !key) return res.status(401).json({ error: 'Unauthorized' });
+        const user = await db.collection('users').findOne({ id: userId });
+        if (!user || !sameSecret(user.keyHash, hashKey(key))) return res.status(401).json({ error: 'Unauthorized' });
+        if (user.blocked) return res.status(403).json({ error: 'Blocked' });
+        req.refUser = user;
+        next();
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+}
+
+function adminOnly(req, res, next) {
+    if (!ADMIN_TOKEN) return res.status(503).json({ error: 'Admin token is not configured' });
+    if (!sameSecret(bearerToken(req), ADMIN_TOKEN)) return res.status(401).json({ error: 'Unauthorized' });
+    next();
+}
+
+// Начислить (или списать) токены: баланс меняется атомарно, каждое движение — в журнал
+async function credit(userId, amount, reason, ref = null) {
+    const result = await db.collection('users').findOneAndUpdate(
+        { id: userId },
+        { $inc: { balance: amount } },
+        { returnDocument: 'after', includeResultMetadata: true }
+    );
+    await db.collection('ledger').insertOne({ userId, amount, reason, ref, at: new Date() });
+    return result.value ? result.value.balance : null;
+}
+
+// Код приглашения, не совпадающий ни с другим кодом приглашения, ни с промокодом
+async function newReferralCode() {
+    for (;;) {
+        const code = randomCode(REFERRAL_CODE_LENGTH);
+        const taken = await db.collection('users').findOne({ code }) || await db.collection('promoCodes').findOne({ code });
+        if (!taken) return code;
+    }
+}
+
+// POST /ref/register — первый запуск Phone: { user } → { user, key, code, balance }.
+// Ключ показывается один раз; занятый id — 409, Phone тогда заводит новый
+app.post('/ref/register', async (req, res) => {
+    try {
+        const userId = String((req.body && req.body.user) || '');
+        if (!USER_ID_PATTERN.test(userId)) return res.status(400).json({ error: 'Invalid user' });
+        if (counted(registrationCounters, req.ip) >= REGISTRATIONS_PER_IP_DAY) {
+            return res.status(429).json({ error: 'Too many registrations' });
+        }
+        if (await db.collection('users').findOne({ id: userId })) return res.status(409).json({ error: 'Already registered' });
+        const key = generateKey();
+        const user = {
+            id: userId,
+            keyHash: hashKey(key),
+            code: await newReferralCode(),
+            balance: 0,
+            referredBy: null,
+            referrals: 0,
+            earnedTokens: 0,
+            pendingTokens: 0,
+            blocked: false,
+            ip: req.ip,
+            createdAt: new Date()
+        };
+        try {
+            await db.collection('users').insertOne(user);
+        } catch (err) {
+            // Два одновременных запроса с одним id: уникальный индекс пропустит только первый
+            if (err.code === 11000) return res.status(409).json({ error: 'Already registered' });
+            throw err;
+        }
+        hit(registrationCounters, req.ip, 24 * 60 * 60 * 1000);
+        const balance = await credit(userId, START_TOKENS, 'start');
+        res.status(201).json({ user: userId, key, code: user.code, balance });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// GET /balance — текущий баланс
+app.get('/balance', userAuth, async (req, res) => {
+    res.json({ balance: req.refUser.balance });
+});
+
+// GET /ref/get — свой код приглашения и статистика
+app.get('/ref/get', userAuth, async (req, res) => {
+    const user = req.refUser;
+    res.json({ code: user.code, referrals: user.referrals, earnedTokens: user.earnedTokens, balance: user.balance });
+});
+
+// GET /ref/sync — сколько пришло от приглашённых с прошлой синхронизации (для уведомления) и баланс.
+// Токены уже на балансе, здесь только сбрасывается счётчик «новых»
+app.get('/ref/sync', userAuth, async (req, res) => {
+    try {
+        const result = await db.collection('users').findOneAndUpdate(
+            { id: req.refUser.id },
+            { $set: { pendingTokens: 0 } },
+            { includeResultMetadata: true }
+        );
+        const before = result.value;
+        res.json({ earnedTokens: before.pendingTokens || 0, balance: before.balance });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// POST /ref/use — ввести код пригласившего { user, code }. Один раз и только в первые
+// REFERRAL_WINDOW_DAYS дней; код «с того же IP, что и автор» считается своим
+app.post('/ref/use', userAuth, async (req, res) => {
+    try {
+        if (codeAttemptsBlocked(req, res)) return;
+        const user = req.refUser;
+        const code = normalizeCode(req.body.code);
+        if (user.referredBy) return res.status(409).json({ error: 'Already used referral' });
+        const referrer = code ? await db.collection('users').findOne({ code }) : null;
+        if (!referrer) {
+            registerCodeFailure(req);
+            return res.status(404).json({ error: 'Invalid referral code' });
+        }
+        if (referrer.id === user.id || referrer.ip === req.ip) return res.status(400).json({ error: 'Cannot refer yourself' });
+        if (Date.now() - user.createdAt.getTime() > REFERRAL_WINDOW_DAYS * 24 * 60 * 60 * 1000) {
+            return res.status(400).json({ error: 'Referral window expired' });
+        }
+        // Условие referredBy: null не даст двум параллельным запросам начислить дважды
+        const claimed = await db.collection('users').updateOne({ id: user.id, referredBy: null }, { $set: { referredBy: referrer.id } });
+        if (claimed.modifiedCount === 0) return res.status(409).json({ error: 'Already used referral' });
+
+        const balance = await credit(user.id, REFERRED_TOKENS, 'referred', referrer.id);
+        // Пригласившему — пока не исчерпан лимит; приглашение засчитывается в любом случае
+        const rewarded = await db.collection('users').updateOne(
+            { id: referrer.id, blocked: { $ne: true }, earnedTokens: { $lt: MAX_REWARDED_REFERRALS * REFERRER_TOKENS } },
+            { $inc: { earnedTokens: REFERRER_TOKENS, pendingTokens: REFERRER_TOKENS } }
+        );
+        await db.collection('users').updateOne({ id: referrer.id }, { $inc: { referrals: 1 } });
+        if (rewarded.modifiedCount > 0) await credit(referrer.id, REFERRER_TOKENS, 'referral', user.id);
+        res.json({ success: true, newUserTokens: REFERRED_TOKENS, balance });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// POST /code/check — погасить промокод { user, code } → { success, tokens, balance }.
+// Каждый пользователь гасит код один раз, всего — не больше maxUses раз
+app.post('/code/check', userAuth, async (req, res) => {
+    try {
+        if (codeAttemptsBlocked(req, res)) return;
+        const user = req.refUser;
+        const code = normalizeCode(req.body.code);
+        const promo = code ? await db.collection('promoCodes').findOne({ code }) : null;
+        if (!promo) {
+            // Phone следом пробует тот же код как приглашение — это не подбор
+            if (!code || !await db.collection('users').findOne({ code })) registerCodeFailure(req);
+            return res.status(404).json({ error: 'Invalid code' });
+        }
+        if (!promo.active || (promo.expiresAt && promo.expiresAt < new Date())) return res.status(410).json({ error: 'Code expired' });
+
+        // Уникальный индекс (code, userId) — гарантия одного погашения даже при параллельных запросах
+        try {
+            await db.collection('redemptions').insertOne({ code, userId: user.id, tokens: promo.tokens, ip: req.ip, at: new Date() });
+        } catch (err) {
+            if (err.code === 11000) return res.status(409).json({ error: 'Already used' });
+            throw err;
+        }
+        const limit = promo.maxUses ? { uses: { $lt: promo.maxUses } } : {};
+        const reserved = await db.collection('promoCodes').updateOne({ code, active: true, ...limit }, { $inc: { uses: 1 } });
+        if (reserved.modifiedCount === 0) {
+            await db.collection('redemptions').deleteOne({ code, userId: user.id });
+            return res.status(410).json({ error: 'Code expired' });
+        }
+        const balance = await credit(user.id, promo.tokens, 'promo', code);
+        res.json({ success: true, tokens: promo.tokens, balance });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// === ПРОМОКОДЫ (админ) ===
+
+function toPromoDto(promo) {
+    const { _id, ...dto } = promo;
+    return dto;
+}
+
+// Поля промокода из тела запроса; error — неверное значение
+function parsePromo(body, isNew) {
+    const values = {};
+    if (isNew || body.tokens !== undefined) {
+        if (!Number.isInteger(body.tokens) || body.tokens <= 0) return { error: 'tokens must be a positive integer' };
+        values.tokens = body.tokens;
+    }
+    if (body.maxUses !== undefined) {
+        if (body.maxUses !== null && (!Number.isInteger(body.maxUses) || body.maxUses <= 0)) return { error: 'maxUses must be a positive integer or null' };
+        values.maxUses = body.maxUses;
+    }
+    if (body.expiresAt !== undefined) {
+        const expiresAt = body.expiresAt === null ? null : new Date(body.expiresAt);
+        if (expiresAt && isNaN(expiresAt)) return { error: 'Invalid expiresAt' };
+        values.expiresAt = expiresAt;
+    }
+    if (body.active !== undefined) values.active = body.active === true;
+    if (body.note !== undefined) values.note = String(body.note || '').slice(0, 200);
+    return { values };
+}
+
+// GET /admin/promo — все промокоды, новые первыми
+app.get('/admin/promo', adminOnly, async (req, res) => {
+    try {
+        const codes = await db.collection('promoCodes').find().sort({ createdAt: -1 }).toArray();
+        res.json(codes.map(toPromoDto));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// POST /admin/promo — создать { code?, tokens, maxUses?, expiresAt?, note? }; без code — случайный
+app.post('/admin/promo', adminOnly, async (req, res) => {
+    try {
+        const { values, error } = parsePromo(req.body, true);
+        if (error) return res.status(400).json({ error });
+        const code = req.body.code ? normalizeCode(req.body.code) : randomCode(8);
+        if (!PROMO_CODE_PATTERN.test(code)) return res.status(400).json({ error: 'Code: 3-32 characters A-Z, 0-9, _ or -' });
+        if (await db.collection('promoCodes').findOne({ code }) || await db.collection('users').findOne({ code })) {
+            return res.status(409).json({ error: 'Code already exists' });
+        }
+        const promo = { code, maxUses: null, expiresAt: null, active: true, note: '', ...values, uses: 0, createdAt: new Date() };
+        await db.collection('promoCodes').insertOne(promo);
+        res.status(201).json(toPromoDto(promo));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// PUT /admin/promo/:code — изменить { tokens?, maxUses?, expiresAt?, active?, note? }
+app.put('/admin/promo/:code', adminOnly, async (req, res) => {
+    try {
+        const { values, error } = parsePromo(req.body, false);
+        if (error) return res.status(400).json({ error });
+        const code = normalizeCode(req.params.code);
+        const result = await db.collection('promoCodes').findOneAndUpdate(
+            { code },
+            { $set: values },
+            { returnDocument: 'after', includeResultMetadata: true }
+        );
+        if (!result.value) return res.status(404).json({ error: 'Code not found' });
+        res.json(toPromoDto(result.value));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// DELETE /admin/promo/:code — удалить код; история погашений остаётся
+app.delete('/admin/promo/:code', adminOnly, async (req, res) => {
+    try {
+        const result = await db.collection('promoCodes').deleteOne({ code: normalizeCode(req.params.code) });
+        if (result.deletedCount === 0) return res.status(404).json({ error: 'Code not found' });
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// GET /admin/promo/:code/redemptions — кто погасил код
+app.get('/admin/promo/:code/redemptions', adminOnly, async (req, res) => {
+    try {
+        const list = await db.collection('redemptions').find({ code: normalizeCode(req.params.code) }).sort({ at: -1 }).toArray();
+        res.json(list.map(({ _id, ...r }) => r));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// GET /admin/users/:id — пользователь и последние 100 движений баланса
+app.get('/admin/users/:id', adminOnly, async (req, res) => {
+    try {
+        const user = await db.collection('users').findOne({ id: req.params.id });
+        if (!user) return res.status(404).json({ error: 'User not found' });
+        const { _id, keyHash, ...dto } = user;
+        const ledger = await db.collection('ledger').find({ userId: user.id }).sort({ at: -1 }).limit(100).toArray();
+        res.json({ ...dto, ledger: ledger.map(({ _id: id, ...entry }) => entry) });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// PUT /admin/users/:id — заблокировать или разблокировать { blocked }
+app.put('/admin/users/:id', adminOnly, async (req, res) => {
+    try {
+        if (typeof req.body.blocked !== 'boolean') return res.status(400).json({ error: 'blocked must be boolean' });
+        const result = await db.collection('users').updateOne({ id: req.params.id }, { $set: { blocked: req.body.blocked } });
+        if (result.matchedCount === 0) return res.status(404).json({ error: 'User not found' });
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// POST /admin/users/:id/adjust — ручная корректировка баланса { amount, comment? }
+app.post('/admin/users/:id/adjust', adminOnly, async (req, res) => {
+    try {
+        if (!Number.isInteger(req.body.amount) || req.body.amount === 0) return res.status(400).json({ error: 'amount must be a non-zero integer' });
+        if (!await db.collection('users').findOne({ id: req.params.id })) return res.status(404).json({ error: 'User not found' });
+        const balance = await credit(req.params.id, req.body.amount, 'adjust', req.body.comment ? String(req.body.comment).slice(0, 200) : null);
+        res.json({ balance });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// GET /health — проверка для Docker
+app.get('/health', (req, res) => {
+    res.json({ status: 'ok' });
+});
+
+// === ЗАПУСК ===
+
+async function connectDB() {
+    try {
+        const client = await MongoClient.connect(MONGO_URI);
+        db = client.db();
+        await db.collection('users').createIndex({ id: 1 }, { unique: true });
+        await db.collection('users').createIndex({ code: 1 }, { unique: true });
+        await db.collection('promoCodes').createIndex({ code: 1 }, { unique: true });
+        await db.collection('redemptions').createIndex({ code: 1, userId: 1 }, { unique: true });
+        await db.collection('ledger').createIndex({ userId: 1, at: -1 });
+        console.log('✅ Connected to MongoDB');
+        if (!ADMIN_TOKEN) console.log('⚠️ ADMIN_TOKEN is not set — promo code management is disabled');
+    } catch (err) {
+        console.error('❌ MongoDB connection error:', err);
+        process.exit(1);
+    }
+}
+
+connectDB().then(() => {
+    app.listen(PORT, () => {
+        console.log(`🚀 SKLADITO referral service running on port ${PORT}`);
+    });
+});